@@ -1,30 +1,140 @@
 // agent.js
-import WebSocket from "ws";
 import { v4 as uuidv4 } from 'uuid';
 import Docker from 'dockerode';
-import Runner from './runner.js';
-import { languageConfigs } from "./config/config.js";
-import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import Runner, { TaskCancelledError, shardCount } from './runner.js';
+import TaskQueue from './taskQueue.js';
+import ContainerPool from './containerPool.js';
+import { agentConfig, authConfig, metricsConfig, languageConfigs, sandboxConfig, imageConfig, shutdownConfig, connectionConfig } from "./config/config.js";
+import { configuredImages, ensureImages } from './images.js';
+import { resolveLimits } from './limits.js';
+import Outbox from './outbox.js';
+import MessageAuth from './auth.js';
+import { MetricsExporter, createMetrics } from './metrics/index.js';
+import { createTransport } from './transports/index.js';
+import { createResultCache } from './cache/index.js';
+import { PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, validateMessage, validateTask } from './protocol.js';
 
+// 需要伺服器以 { type: 'ack', messageId } 確認的訊息
+const RELIABLE_MESSAGE_TYPES = ['taskComplete', 'taskError'];
+
+// 任務的最後一個訊息
+const LOCAL_FINAL_MESSAGE_TYPES = ['taskComplete', 'taskError', 'taskRejected', 'taskCancelled', 'taskAborted'];
+
+// 建立 Agent 不會有任何副作用，呼叫 start() 才會準備環境並連接伺服器
 class Agent {
-    constructor(wServerUrl) {
+    // options.metrics: 自訂的 MetricsExporter；未指定時於 start() 依 metricsConfig 建立
+    // options.transport: 自訂的 Transport；未指定時依 agentConfig.transport 建立
+    // options.auth: 自訂的 MessageAuth；未指定時使用 authConfig
+    // options.cache: 自訂的 ResultCache (null 為停用)；未指定時依 cacheConfig 建立
+    constructor(wServerUrl = agentConfig.serverUrl, options = {}) {
         this.id = uuidv4();
         this.wServerUrl = wServerUrl;  
         this.docker = new Docker();
-        this.cloudWatchClient = new CloudWatchClient({ region: "ap-northeast-1" });
+        this.metrics = options.metrics || new MetricsExporter();
+        this.customMetrics = Boolean(options.metrics);
 
-        // 追蹤執行中的任務
+        // 追蹤執行中的任務：taskId -> { task, runner, startTime }
         this.activeTasks = new Map();
+
+        // 任務佇列，限制同時執行的 Runner 數量
+        this.taskQueue = new TaskQueue(task => this.startTask(task));
+        this.taskQueue.on('change', status => this.reportQueueStatus(status));
+
+        // 預先啟動的容器，與映像無法取得而停用的語言
+        this.pool = new ContainerPool(this.docker);
+        this.unavailableLanguages = new Set();
         
-        // 連接狀態追蹤
-        this.ws = null;
-        this.isConnecting = false;
-        
-        // 開始首次連接
-        this.connect();
+        // 與伺服器之間的傳輸層 (WebSocket 推送或 Redis 拉取)
+        this.transport = options.transport || createTransport(agentConfig.transport, {
+            url: wServerUrl,
+            agentId: this.id,
+            capacity: () => this.capacity()
+        });
+        this.transport.on('open', () => {
+            this.handleOpen().catch(error => console.error('[Agent] Registration error:', error));
+        });
+        this.transport.on('delivered', messageId => this.outbox.ack(messageId));
+        this.transport.on('message', (message, meta) => this.handleMessage(message, meta));
+        this.transport.on('invalid', error => {
+            console.error('Error handling message:', error);
+            this.sendMessage({
+                type: 'error',
+                error: error.message
+            });
+        });
+
+        // 伺服器訊息的驗證與送出訊息的簽章
+        this.auth = options.auth || new MessageAuth();
+
+        // 內容相同的提交直接回傳先前的判題結果
+        this.resultCache = options.cache !== undefined ? options.cache : createResultCache();
+
+        // 等待伺服器確認的結果訊息
+        this.outbox = new Outbox(connectionConfig.outboxFile, connectionConfig.outbox);
+
+        // 本機 (HTTP API) 提交的任務：taskId -> handler(message)，結果不送往伺服器
+        this.localHandlers = new Map();
+        this.connectToServer = true;
+
+        // 與伺服器協商的協定版本；伺服器未回覆 registered 時沿用預設版本，不支援時為 null
+        this.protocolVersion = PROTOCOL_VERSION;
+
+        // drain 開始後不再接受新任務
+        this.draining = false;
+        this.ready = false;
+        this.metricsInterval = null;
+    }
+
+    // 準備完成後才開始連接、接收任務；準備失敗時拋出錯誤
+    // options.connect 為 false 時不連接伺服器，只處理本機提交的任務
+    async start(options = {}) {
+        this.connectToServer = options.connect ?? true;
+        if (this.connectToServer && authConfig.required && !this.auth.enabled) {
+            throw new Error('auth.secret is required to connect to the server (set JUDGE_AUTH_SECRET)');
+        }
+        console.log(`Starting agent ${this.id} with ${this.transport.constructor.name}`);
+        process.once('SIGTERM', () => this.handleShutdown('SIGTERM'));
+        process.once('SIGINT', () => this.handleShutdown('SIGINT'));
+
+        if (!this.customMetrics) {
+            this.metrics = await createMetrics(metricsConfig, {
+                instanceId: this.id,
+                health: () => this.getHealth()
+            });
+        } else {
+            await this.metrics.start();
+        }
+
+        await this.initialize();
+        this.ready = true;
+        if (this.connectToServer) {
+            await this.transport.connect();
+        }
 
         // 定期發送 metrics
-        setInterval(() => this.publishMetrics(), 60000);  // 每分鐘發送一次
+        this.metricsInterval = setInterval(() => this.publishMetrics(), metricsConfig.interval);
+    }
+
+    // /health 的內容；status 不是 ok 時回應 503
+    getHealth() {
+        let status = 'ok';
+        if (this.draining) {
+            status = 'draining';
+        } else if (!this.ready) {
+            status = 'starting';
+        } else if (this.connectToServer && !this.transport.isConnected()) {
+            status = 'disconnected';
+        }
+
+        return {
+            status,
+            agentId: this.id,
+            queue: this.taskQueue.getStatus(),
+            languages: this.availableLanguages(),
+            unavailableLanguages: [...this.unavailableLanguages],
+            outbox: this.outbox.size,
+            cache: this.resultCache?.getStatus() ?? null
+        };
     }
 
     async publishMetrics(stats = null) {
@@ -32,45 +142,67 @@ class Agent {
             if (!stats) {
                 stats = await this.getDockerStats();
             }
+            await this.metrics.recordResources(stats);
+            await this.metrics.flush();
+        } catch (error) {
+            console.error("Error publishing metrics:", error);
+        }
+    }
 
-            const cpuUtilization = (stats.used.cpu / stats.total.cpu) * 100;
-            const memoryUtilization = (stats.used.memory / stats.total.memory) * 100;
-
-            const command = new PutMetricDataCommand({
-                Namespace: "NCCUMISOJ/Resources",
-                MetricData: [
-                    {
-                        MetricName: "CPUUtilization",
-                        Value: cpuUtilization,
-                        Unit: "Percent",
-                        Dimensions: [
-                            {
-                                Name: "InstanceId",
-                                Value: this.id
-                            }
-                        ]
-                    },
-                    {
-                        MetricName: "MemoryUtilization",
-                        Value: memoryUtilization,
-                        Unit: "Percent",
-                        Dimensions: [
-                            {
-                                Name: "InstanceId",
-                                Value: this.id
-                            }
-                        ]
-                    }
-                ]
-            });
+    recordTaskMetrics(task, verdict, startTime) {
+        this.metrics.recordTask({
+            language: task.language,
+            verdict,
+            executionTime: Date.now() - startTime
+        });
+    }
 
-            await this.cloudWatchClient.send(command);
-            console.log("Metrics published - CPU: ", cpuUtilization.toFixed(2), "% Memory: ", memoryUtilization.toFixed(2), "%");
+    // 啟動前準備：拉取映像、確認沙箱設定、預先建立容器
+    async initialize() {
+        await this.outbox.load();
+        await this.prepareImages();
+        await this.startResultCache();
+        await this.verifySandbox();
+        await this.pool.start(this.availableLanguages());
+    }
+
+    // 快取無法使用 (例如 Redis 連不上) 時不影響判題，只是不使用快取
+    async startResultCache() {
+        try {
+            await this.resultCache?.start(this.docker);
         } catch (error) {
-            console.error("Error publishing metrics:", error);
+            console.error('[Cache] Failed to start, running without the result cache:', error.message);
+            await this.resultCache.close().catch(() => {});
+            this.resultCache = null;
+        }
+    }
+
+    availableLanguages() {
+        return Object.keys(languageConfigs).filter(language => !this.unavailableLanguages.has(language));
+    }
+
+    async prepareImages() {
+        if (!imageConfig.pullOnStartup) {
+            return;
+        }
+
+        const images = configuredImages();
+        const failed = await ensureImages(this.docker);
+        for (const [image, error] of failed) {
+            const languages = images.get(image);
+            languages.forEach(language => this.unavailableLanguages.add(language));
+            console.error(`Image ${image} unavailable (${error.message}), disabling: ${languages.join(', ')}`);
         }
     }
 
+    async verifySandbox() {
+        if (!sandboxConfig.verifyOnStartup) {
+            console.log('Sandbox verification skipped');
+            return;
+        }
+        await new Runner().verifySandbox();
+    }
+
     async getDockerStats() {
         try {
             // 獲取 Docker 系統信息
@@ -118,66 +250,87 @@ class Agent {
         }
     }
 
-    connect() {
-        // 避免重複連接
-        if (this.ws?.readyState === WebSocket.OPEN || this.isConnecting) {
-            return;
-        }
+    // 連線 (或重新連線) 後發送註冊資訊，並重送斷線期間或上次執行時未被確認的結果
+    // Docker 資訊取得失敗時仍註冊 (不附資源數值)，結果也照常重送
+    async handleOpen() {
+        const stats = await this.getDockerStats().catch(() => null);
+        this.sendMessage({
+            type: 'register',
+            protocol: {
+                version: PROTOCOL_VERSION,
+                supported: SUPPORTED_PROTOCOL_VERSIONS
+            },
+            resources: stats ? {
+                cpu: stats.total.cpu,
+                memory: stats.total.memory
+            } : null,
+            languages: this.availableLanguages(),
+            queue: this.taskQueue.getStatus(),
+            // 整個 register 訊息以 secret 導出的金鑰簽章，作為 agent 的憑證
+            auth: this.auth.enabled ? { scheme: 'hmac-sha256', keyId: this.auth.keyId } : null
+        });
 
-        this.isConnecting = true;
-        console.log('Attempting to connect to WebSocket server...');
+        this.replayOutbox();
+    }
 
-        try {
-            this.ws = new WebSocket(this.wServerUrl);
-            this.setupWebSocket();
-        } catch (error) {
-            console.error('Connection attempt failed:', error);
-            this.scheduleReconnect();
+    // 尚可接受的任務數量 (拉取任務的傳輸層使用)
+    capacity() {
+        if (this.draining) {
+            return 0;
         }
+        const status = this.taskQueue.getStatus();
+        return status.maxRunners - status.running - status.reserved - status.queued;
     }
 
-    setupWebSocket() {
-        this.ws.on('error', (error) => {
-            console.error('WebSocket error:', error.message);
-            this.scheduleReconnect();
-        });
+    replayOutbox() {
+        const messages = this.outbox.entries();
+        if (messages.length === 0) return;
 
-        this.ws.onopen = async () => {
-            console.log('Connected to Web Server');
-            this.isConnecting = false;
-            
-            // 連接成功後發送註冊資訊
-            const stats = await this.getDockerStats();
-            this.sendMessage({
-                type: 'register',
-                resources: {
-                    cpu: stats.total.cpu,
-                    memory: stats.total.memory
-                }
-            });
-        };
+        console.log(`[Agent] Replaying ${messages.length} unacknowledged message(s)`);
+        for (const message of messages) {
+            this.transport.send(this.auth.sign({ ...message, replayed: true }));
+        }
+    }
 
-        this.ws.onclose = () => {
-            console.log('Disconnected from Web Server');
-            this.scheduleReconnect();
-        };
+    async handleMessage(message, meta = {}) {
+        try {
+            // 任務與控制訊息 (包含 ack) 都必須通過簽章驗證
+            const authFailure = this.auth.verify(message, { deliveryId: meta.deliveryId });
+            if (authFailure) {
+                console.error(`[Auth] Rejected ${message.type} message: ${authFailure}`);
+                this.sendMessage({
+                    type: 'authRejected',
+                    messageType: message.type,
+                    taskId: message.task?.id ?? message.taskId,
+                    reason: authFailure
+                });
+                return;
+            }
 
-        this.ws.onmessage = this.handleMessage.bind(this);
-    }
+            const errors = validateMessage(message, 'inbound', this.protocolVersion ?? PROTOCOL_VERSION);
+            if (errors.length > 0) {
+                this.rejectMessage(message, errors);
+                return;
+            }
 
-    scheduleReconnect() {
-        this.isConnecting = false;
-        console.log('Scheduling reconnection in 10 seconds...');
-        setTimeout(() => this.connect(), 1000);  // 1 秒後重試
-    }
+            // 確認訊息不記錄
+            if (message.type === 'ack') {
+                this.outbox.ack(message.messageId);
+                return;
+            }
 
-    async handleMessage(event) {
-        try {
-            const message = JSON.parse(event.data);
             console.log('Received task:', message);
 
-            if (message.type === 'task') {
-                await this.startTask(message.task);
+            if (message.type === 'registered') {
+                this.negotiateProtocol(message.protocolVersion);
+            } else if (message.type === 'task') {
+                this.enqueueTask(message.task);
+            } else if (message.type === 'cancel') {
+                await this.cancelTask(message.taskId);
+            } else if (message.type === 'drain') {
+                this.handleShutdown('serverDrain');
+            } else if (message.type === 'invalidateCache') {
+                await this.invalidateCache(message.language);
             }
         } catch (error) {
             console.error('Error handling message:', error);
@@ -188,125 +341,402 @@ class Agent {
         }
     }
 
+    // 不符合協定的訊息：任務以 taskRejected 回報 (包含 taskId)，其餘回報 error
+    rejectMessage(message, errors) {
+        console.error(`[Protocol] Invalid ${message?.type} message: ${errors.join('; ')}`);
+        if (message?.type === 'task') {
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: message.task?.id ?? null,
+                reason: 'invalidTask',
+                error: `Invalid task: ${errors.join('; ')}`,
+                errors
+            });
+            return;
+        }
+
+        this.sendMessage({
+            type: 'error',
+            messageType: typeof message?.type === 'string' ? message.type : null,
+            error: `Invalid message: ${errors.join('; ')}`,
+            errors
+        });
+    }
+
+    // 伺服器在 registered 中指定採用的版本；不支援的版本不接受任務，直到重新註冊協商成功
+    negotiateProtocol(version) {
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+            console.error(`[Protocol] Server selected unsupported protocol version ${version} (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+            this.protocolVersion = null;
+            return;
+        }
+        console.log(`[Protocol] Using protocol version ${version}`);
+        this.protocolVersion = version;
+    }
+
+    // 映像或題目設定在 agent 之外更新時，由伺服器要求清除快取
+    async invalidateCache(language = null) {
+        const removed = this.resultCache ? await this.resultCache.invalidate(this.docker, language) : 0;
+        this.sendMessage({
+            type: 'cacheInvalidated',
+            language,
+            removed
+        });
+    }
+
+    // 提交本機任務，handler 會收到此任務的 taskProgress / taskComplete 等訊息
+    submitLocal(task, handler) {
+        this.localHandlers.set(task.id, handler);
+        this.enqueueTask(task);
+    }
+
+    enqueueTask(task) {
+        // 伺服器與本機提交的任務都在此檢查，不合格的任務不進入佇列
+        const errors = validateTask(task);
+        if (errors.length > 0) {
+            this.rejectMessage({ type: 'task', task }, errors);
+            return;
+        }
+
+        if (this.protocolVersion === null && !this.localHandlers.has(task.id)) {
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: task.id,
+                reason: 'protocolMismatch',
+                error: `Agent supports protocol version(s) ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
+            });
+            return;
+        }
+
+        if (this.draining) {
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: task?.id,
+                reason: 'draining',
+                error: 'Agent is shutting down'
+            });
+            return;
+        }
+
+        if (this.unavailableLanguages.has(task?.language)) {
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: task.id,
+                reason: 'languageUnavailable',
+                error: `Language ${task.language} is unavailable on this agent`
+            });
+            return;
+        }
+
+        if (!this.taskQueue.enqueue(task)) {
+            const status = this.taskQueue.getStatus();
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: task?.id,
+                reason: 'queueFull',
+                error: `Task queue is full (${status.queued}/${status.maxQueueSize} queued, ${status.running} running)`,
+                queue: status
+            });
+        }
+    }
+
+    // 排隊中的任務直接移出佇列；執行中的任務終止其容器，
+    // 由 startTask 在清理完成後回報 taskCancelled
+    async cancelTask(taskId) {
+        if (this.taskQueue.remove(taskId)) {
+            this.sendTaskMessage({
+                type: 'taskCancelled',
+                taskId,
+                state: 'queued'
+            });
+            return;
+        }
+
+        const activeTask = this.activeTasks.get(taskId);
+        if (!activeTask) {
+            console.log(`[Agent] Cancel requested for unknown task ${taskId}`);
+            this.sendMessage({
+                type: 'cancelRejected',
+                taskId,
+                reason: 'notFound',
+                error: `Task ${taskId} is not queued or running on this agent`
+            });
+            return;
+        }
+
+        console.log(`[Agent] Cancelling task ${taskId}`);
+        await activeTask.runner.cancel();
+    }
+
+    handleShutdown(reason) {
+        this.shutdown(reason)
+            .catch(error => {
+                console.error('[Agent] Shutdown error:', error);
+            })
+            .finally(() => process.exit(0));
+    }
+
+    // 停止接受任務，等待執行中的任務至 drainTimeout，
+    // 之後強制終止剩餘任務並回報 taskAborted，最後關閉連線
+    async shutdown(reason, options = shutdownConfig) {
+        if (this.draining) {
+            return;
+        }
+        this.draining = true;
+        console.log(`[Agent] Draining (${reason}), waiting up to ${options.drainTimeout}ms for ${this.activeTasks.size} active task(s)`);
+
+        // 尚未開始的任務退回給伺服器重新分派
+        for (const task of this.taskQueue.clear()) {
+            this.sendTaskMessage({
+                type: 'taskRejected',
+                taskId: task?.id,
+                reason: 'draining',
+                error: 'Agent is shutting down'
+            });
+        }
+
+        this.sendMessage({
+            type: 'draining',
+            reason,
+            deadline: Date.now() + options.drainTimeout,
+            activeTasks: [...this.activeTasks.keys()]
+        });
+
+        if (!await this.taskQueue.waitForIdle(options.drainTimeout)) {
+            console.log(`[Agent] Drain deadline reached, aborting ${this.activeTasks.size} task(s)`);
+            await Promise.all([...this.activeTasks.values()].map(activeTask => {
+                activeTask.aborted = true;
+                return activeTask.runner.cancel();
+            }));
+            await this.taskQueue.waitForIdle(options.abortTimeout);
+        }
+
+        clearInterval(this.metricsInterval);
+        await this.pool.close();
+        await this.resultCache?.close();
+        await this.metrics.close();
+
+        // 未被確認的結果留在 outbox 檔案，下次啟動後重送
+        await this.outbox.flush();
+        await this.transport.close();
+        console.log('[Agent] Shutdown complete');
+    }
+
+    reportQueueStatus(status = this.taskQueue.getStatus()) {
+        this.metrics.recordQueue(status);
+        this.sendMessage({
+            type: 'queueUpdate',
+            queue: status
+        });
+    }
+
     async startTask(task) {
         const langConfig = languageConfigs[task.language];
         const startTime = Date.now();
-        
-        // 取得目前資源使用量
-        const preStats = await this.getDockerStats();
-        
-        // 回報資源使用
-        this.sendMessage({
-            type: 'resourceUpdate',
-            metrics: {
-                cpu: {
-                    total: preStats.total.cpu,
-                    used: preStats.used.cpu + langConfig.cpuLimit
-                },
-                memory: {
-                    total: preStats.total.memory,
-                    used: preStats.used.memory + langConfig.memoryLimit
+
+        // 實際套用的資源限制 (題目設定，經上限截斷)
+        let limits;
+        try {
+            limits = resolveLimits(task, langConfig);
+        } catch (error) {
+            this.recordTaskMetrics(task, 'error', startTime);
+            this.sendTaskMessage({
+                type: 'taskError',
+                taskId: task.id,
+                error: error.message,
+                language: task.language
+            });
+            return;
+        }
+
+        const cached = await this.resultCache?.get(task, limits);
+        if (cached) {
+            console.log(`[Agent] Task ${task.id} served from cache (${cached.verdict})`);
+            this.recordTaskMetrics(task, cached.verdict, startTime);
+            this.sendTaskMessage({
+                type: 'taskComplete',
+                taskId: task.id,
+                verdict: cached.verdict,
+                result: cached.result,
+                metrics: {
+                    executionTime: Date.now() - startTime,
+                    language: task.language,
+                    resources: cached.result.resources,
+                    limits: {
+                        ...limits,
+                        image: langConfig.image
+                    },
+                    cached: true,
+                    cachedAt: cached.cachedAt
                 }
-            }
-        });
+            });
+            return;
+        }
+
+        const runner = new Runner({ pool: this.pool });
+        runner.on('testResult', caseResult => this.reportProgress(task, caseResult));
+        this.activeTasks.set(task.id, { task, runner, startTime });
+
+        // 分組平行執行時，第一組之外的容器各佔用一個執行名額
+        const shards = 1 + this.taskQueue.reserve(shardCount(task) - 1);
 
-        await this.publishMetrics({
-            total: preStats.total,
-            used: {
-                cpu: preStats.used.cpu + langConfig.cpuLimit,
-                memory: preStats.used.memory + langConfig.memoryLimit
-            }
-        });
-     
         try {
-            const runner = new Runner();
-            const result = await runner.run(task);
-     
-            // 取得最新的資源使用量
-            const postStats = await this.getDockerStats();
+            // 回報資源使用 (加上此任務的容器預計使用的量)
+            const preStats = await this.reportResources({
+                cpu: limits.cpuLimit * shards,
+                memory: limits.memoryLimit * shards
+            });
+            if (preStats) {
+                await this.publishMetrics(preStats);
+            }
+
+            const result = await runner.run(task, { shards });
+            this.recordTaskMetrics(task, result.verdict, startTime);
      
-            this.sendMessage({
+            this.sendTaskMessage({
                 type: 'taskComplete',
                 taskId: task.id,
+                verdict: result.verdict,
                 result: result,
                 metrics: {
                     executionTime: Date.now() - startTime,
                     language: task.language,
-                    resources: {
-                        cpu: {
-                            total: postStats.total.cpu,
-                            used: postStats.used.cpu
-                        },
-                        memory: {
-                            total: postStats.total.memory,
-                            used: postStats.used.memory
-                        }
+                    // 此提交的容器本身 (編譯 / 執行) 的用量，而非整台主機
+                    resources: runner.resources,
+                    limits: {
+                        ...limits,
+                        image: langConfig.image
                     },
-                    langConfig: {
-                        cpuLimit: langConfig.cpuLimit,
-                        memoryLimit: langConfig.memoryLimit,
-                        timeout: langConfig.timeout,
-                        image: langConfig.image,
-                        fileExtension: langConfig.fileExtension,
-                        runCommand: langConfig.runCommand
-                    }
+                    latency: runner.latency,
+                    cached: false
                 }
             });
+
+            await this.resultCache?.set(task, limits, { verdict: result.verdict, result });
         } catch (error) {
-            // 取得最新的資源使用量
-            const errorStats = await this.getDockerStats();
+            // 容器已終止、執行目錄已清除
+            // drain 逾時被終止的任務回報 taskAborted，讓伺服器重新分派
+            if (error instanceof TaskCancelledError) {
+                if (this.activeTasks.get(task.id)?.aborted) {
+                    this.recordTaskMetrics(task, 'aborted', startTime);
+                    console.log(`[Agent] Task ${task.id} aborted`);
+                    this.sendTaskMessage({
+                        type: 'taskAborted',
+                        taskId: task.id,
+                        reason: 'shutdown',
+                        executionTime: Date.now() - startTime
+                    });
+                    return;
+                }
+
+                this.recordTaskMetrics(task, 'cancelled', startTime);
+                console.log(`[Agent] Task ${task.id} cancelled`);
+                this.sendTaskMessage({
+                    type: 'taskCancelled',
+                    taskId: task.id,
+                    state: 'running',
+                    executionTime: Date.now() - startTime
+                });
+                return;
+            }
+
+            this.recordTaskMetrics(task, 'error', startTime);
             
-            this.sendMessage({
+            this.sendTaskMessage({
                 type: 'taskError',
                 taskId: task.id,
                 error: error.message,
                 language: task.language,
-                resources: {
-                    cpu: {
-                        total: errorStats.total.cpu,
-                        used: errorStats.used.cpu
-                    },
-                    memory: {
-                        total: errorStats.total.memory,
-                        used: errorStats.used.memory
-                    }
-                }
+                partialResults: error.partialResults || [],
+                resources: runner.resources
             });
         } finally {
+            this.activeTasks.delete(task.id);
+            this.taskQueue.release(shards - 1);
+
             // 取得最終資源使用量並回報
-            const finalStats = await this.getDockerStats();
-            this.sendMessage({
-                type: 'resourceUpdate',
-                metrics: {
-                    cpu: {
-                        total: finalStats.total.cpu,
-                        used: finalStats.used.cpu
-                    },
-                    memory: {
-                        total: finalStats.total.memory,
-                        used: finalStats.used.memory
-                    }
-                }
-            });
+            await this.reportResources();
         }
     }
 
+    // 以 resourceUpdate 回報主機資源使用量，pending 為即將啟動的容器預計使用的量
+    // 容器在讀取統計期間被移除等情況會失敗；只記錄錯誤，不影響任務本身
+    async reportResources(pending = { cpu: 0, memory: 0 }) {
+        let stats;
+        try {
+            stats = await this.getDockerStats();
+        } catch {
+            return null;
+        }
+
+        const used = {
+            cpu: stats.used.cpu + pending.cpu,
+            memory: stats.used.memory + pending.memory
+        };
+        this.sendMessage({
+            type: 'resourceUpdate',
+            metrics: {
+                cpu: { total: stats.total.cpu, used: used.cpu },
+                memory: { total: stats.total.memory, used: used.memory }
+            }
+        });
+        return { total: stats.total, used };
+    }
+
+    reportProgress(task, caseResult) {
+        this.sendTaskMessage({
+            type: 'taskProgress',
+            taskId: task.id,
+            caseIndex: caseResult.id,
+            total: task.testCases?.length,
+            verdict: caseResult.verdict,
+            result: caseResult
+        });
+    }
+
+    // 與特定任務相關的訊息：本機任務交給其 handler，其餘送往伺服器
+    sendTaskMessage(message) {
+        const handler = this.localHandlers.get(message.taskId);
+        if (!handler) {
+            this.sendMessage(message);
+            return;
+        }
+
+        if (LOCAL_FINAL_MESSAGE_TYPES.includes(message.type)) {
+            this.localHandlers.delete(message.taskId);
+        }
+        handler(this.envelope(message));
+    }
+
+    // 加上信封欄位，並檢查訊息是否符合協定 (不符合時仍送出，只記錄警告)
+    envelope(message) {
+        const version = this.protocolVersion ?? PROTOCOL_VERSION;
+        const errors = validateMessage(message, 'outbound', version);
+        if (errors.length > 0) {
+            console.warn(`[Protocol] Outgoing ${message.type} does not match protocol v${version}: ${errors.join('; ')}`);
+        }
+        return {
+            ...message,
+            protocolVersion: version,
+            agentId: this.id,
+            timestamp: Date.now()
+        };
+    }
+
+    // taskComplete / taskError 先存入 outbox，即使目前未連線也會在重新註冊後送出
     sendMessage(message) {
-        if (this.ws.readyState === WebSocket.OPEN) {
-            const fullMessage = {
-                ...message,
-                agentId: this.id,
-                timestamp: Date.now()
-            };
+        let fullMessage = this.envelope(message);
+        if (RELIABLE_MESSAGE_TYPES.includes(message.type)) {
+            fullMessage = this.outbox.add(fullMessage);
+        }
+
+        if (this.transport.isConnected()) {
             console.log('Sending message:', fullMessage);
-            this.ws.send(JSON.stringify(fullMessage));
+            this.transport.send(this.auth.sign(fullMessage));
+        } else if (fullMessage.messageId) {
+            console.log(`[Agent] Not connected, ${message.type} for task ${message.taskId} kept in outbox`);
         }
     }
 }
 
-// 啟動 agent
-const WS_URL = 'wss://api.nccumisoj.online/ws';
-console.log('Starting agent with WebSocket URL:', WS_URL);
-const agent = new Agent(WS_URL);
-
 export default Agent;
\ No newline at end of file
@@ -0,0 +1,91 @@
+// auth.js
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { authConfig } from './config/config.js';
+import { canonical } from './canonical.js';
+
+// 以 pre-shared secret 導出兩個方向的金鑰，agent 簽出的訊息無法被當成伺服器的指令重送回來
+function deriveKey(secret, direction) {
+    return createHmac('sha256', secret).update(`judge-${direction}`).digest();
+}
+
+// 訊息簽章：HMAC-SHA256(key, canonical(message))，message 需包含 timestamp 與 nonce
+//   伺服器 -> agent: 以 deriveKey(secret, 'server') 簽章，agent 驗證後才處理
+//   agent -> 伺服器: 以 deriveKey(secret, 'agent') 簽章 (包含 register，作為 agent 的憑證)
+class MessageAuth {
+    constructor(options = authConfig) {
+        this.enabled = Boolean(options.secret);
+        this.keyId = options.keyId;
+        this.maxClockSkew = options.maxClockSkew;
+        if (this.enabled) {
+            this.serverKey = deriveKey(options.secret, 'server');
+            this.agentKey = deriveKey(options.secret, 'agent');
+        }
+
+        // 已使用的 nonce -> { expiry, deliveryId }；超過 maxClockSkew 的訊息本來就會因 timestamp 被拒絕
+        this.nonces = new Map();
+    }
+
+    static signature(key, message) {
+        const { signature, ...content } = message;
+        return createHmac('sha256', key).update(canonical(content)).digest('hex');
+    }
+
+    // 加上新的 timestamp、nonce 與簽章 (重送的訊息也重新簽章)
+    sign(message) {
+        if (!this.enabled) {
+            return message;
+        }
+        const signed = {
+            ...message,
+            keyId: this.keyId,
+            timestamp: Date.now(),
+            nonce: randomBytes(16).toString('hex')
+        };
+        delete signed.signature;
+        signed.signature = MessageAuth.signature(this.agentKey, signed);
+        return signed;
+    }
+
+    // 驗證伺服器送來的訊息；通過時回傳 null，否則回傳原因
+    // options.deliveryId: 傳輸層對這次送達的識別 (Redis stream entry id)；
+    // 釋出後再次送達的同一個 entry 沿用原本的 nonce，只有 deliveryId 相同時才允許重複
+    verify(message, options = {}) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        if (typeof message.signature !== 'string' || typeof message.nonce !== 'string' ||
+            typeof message.timestamp !== 'number') {
+            return 'missing signature, nonce or timestamp';
+        }
+
+        const expected = Buffer.from(MessageAuth.signature(this.serverKey, message), 'hex');
+        const actual = Buffer.from(message.signature, 'hex');
+        if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+            return 'invalid signature';
+        }
+
+        const now = Date.now();
+        if (Math.abs(now - message.timestamp) > this.maxClockSkew) {
+            return `timestamp outside the allowed ${this.maxClockSkew}ms window`;
+        }
+
+        this.pruneNonces(now);
+        const seen = this.nonces.get(message.nonce);
+        if (seen && (options.deliveryId === undefined || seen.deliveryId !== options.deliveryId)) {
+            return 'replayed nonce';
+        }
+        this.nonces.set(message.nonce, { expiry: message.timestamp + this.maxClockSkew, deliveryId: options.deliveryId });
+        return null;
+    }
+
+    pruneNonces(now) {
+        for (const [nonce, { expiry }] of this.nonces) {
+            if (expiry < now) {
+                this.nonces.delete(nonce);
+            }
+        }
+    }
+}
+
+export default MessageAuth;
@@ -0,0 +1,155 @@
+// index.js
+import { createHash } from 'crypto';
+import { cacheConfig, languageConfigs, redisConfig } from '../config/config.js';
+import { testTemplates, harnessBindings } from '../testTemplates.js';
+import { imageDigests } from '../images.js';
+import { canonical } from '../canonical.js';
+import MemoryCacheStore from './memory.js';
+import RedisCacheStore from './redis.js';
+
+export { MemoryCacheStore, RedisCacheStore };
+
+export const CACHE_STORES = ['memory', 'redis'];
+
+// 影響判題結果的任務欄位；id、auth、shards 等欄位不影響結果
+const KEY_FIELDS = [
+    'language', 'mode', 'code', 'files', 'archive', 'entry',
+    'function', 'className', 'testFormat', 'testCases', 'comparator', 'outputMatch',
+    'stopOnFirstFailure'
+];
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// 判題結果快取：key 為 <language>:<hash>，hash 涵蓋提交內容、測試資料、實際套用的限制、
+// 映像 ID 與 harness / 指令設定，映像或 harness 更新後舊結果自然不再命中
+export class ResultCache {
+    constructor(store, options = cacheConfig) {
+        this.store = store;
+        this.options = options;
+        this.digests = new Map();    // image -> 映像 ID
+        this.toolchains = new Map(); // language -> harness 與指令設定的 hash
+        this.refreshTimer = null;
+        this.stats = { hits: 0, misses: 0, stored: 0 };
+    }
+
+    async start(docker) {
+        await this.store.start();
+        await this.refreshImages(docker);
+        this.refreshTimer = setInterval(() => {
+            this.refreshImages(docker).catch(error => console.error('[Cache] Failed to refresh image IDs:', error.message));
+        }, this.options.imageRefreshInterval);
+        console.log(`[Cache] Using ${this.store.constructor.name}`);
+    }
+
+    async refreshImages(docker) {
+        this.digests = await imageDigests(docker);
+    }
+
+    toolchain(language) {
+        if (!this.toolchains.has(language)) {
+            const { compile, runCommand, harness } = languageConfigs[language];
+            this.toolchains.set(language, sha256(canonical({
+                compile,
+                runCommand,
+                harness,
+                template: harness ? testTemplates[harness.template] : null,
+                bindings: harness ? harnessBindings[harness.template]?.toString() ?? null : null
+            })));
+        }
+        return this.toolchains.get(language);
+    }
+
+    // 映像 ID 未知 (映像不存在或尚未讀取) 時不使用快取
+    key(task, limits) {
+        const languages = [task.language];
+        const checkerLanguage = task.comparator?.checker?.language;
+        if (checkerLanguage && languageConfigs[checkerLanguage]) {
+            languages.push(checkerLanguage);
+        }
+
+        const environment = {};
+        for (const language of languages) {
+            const langConfig = languageConfigs[language];
+            const images = [langConfig.image, langConfig.compile?.image].filter(Boolean);
+            if (!images.every(image => this.digests.has(image))) {
+                return null;
+            }
+            environment[language] = {
+                images: images.map(image => this.digests.get(image)),
+                toolchain: this.toolchain(language)
+            };
+        }
+
+        const content = {};
+        for (const field of KEY_FIELDS) {
+            content[field] = task[field];
+        }
+        return `${task.language}:${sha256(canonical({ content, limits, environment }))}`;
+    }
+
+    // task.cache 為 false 時 (例如 rejudge) 不讀取快取，但仍會更新
+    async get(task, limits) {
+        const key = task.cache === false ? null : this.key(task, limits);
+        const entry = key ? await this.store.get(key) : null;
+        if (entry) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+        return entry;
+    }
+
+    // entry: { verdict, result, resources }
+    // 分組數不在 key 中：各組的執行時間 (result.shards) 不存入快取；
+    // 分組執行且提早停止 (stoppedAt) 時，哪些案例已執行取決於分組與時間，不快取
+    async set(task, limits, entry) {
+        if (this.options.skipVerdicts.includes(entry.verdict)) {
+            return;
+        }
+        const { shards, ...result } = entry.result;
+        if (shards && result.stoppedAt !== undefined) {
+            return;
+        }
+        const key = this.key(task, limits);
+        if (!key) return;
+        await this.store.set(key, { ...entry, result, cachedAt: Date.now() });
+        this.stats.stored++;
+    }
+
+    // 清除某個語言 (未指定時為全部) 的結果，並重新讀取映像 ID
+    async invalidate(docker, language = null) {
+        await this.refreshImages(docker);
+        const removed = await this.store.deletePrefix(language ? `${language}:` : '');
+        console.log(`[Cache] Invalidated ${removed} result(s)${language ? ` for ${language}` : ''}`);
+        return removed;
+    }
+
+    getStatus() {
+        return { store: this.options.store, size: this.store.size, ...this.stats };
+    }
+
+    async close() {
+        clearInterval(this.refreshTimer);
+        await this.store.close();
+    }
+}
+
+export function createCacheStore(options = cacheConfig) {
+    switch (options.store) {
+        case 'memory':
+            return new MemoryCacheStore({ maxEntries: options.maxEntries, ttl: options.ttl });
+        case 'redis':
+            return new RedisCacheStore({
+                url: options.redis.url || redisConfig.url,
+                prefix: options.redis.prefix,
+                ttl: options.ttl
+            });
+        default:
+            throw new Error(`Unsupported cache store: ${options.store}`);
+    }
+}
+
+// 未啟用時回傳 null
+export function createResultCache(options = cacheConfig) {
+    return options.enabled ? new ResultCache(createCacheStore(options), options) : null;
+}
@@ -0,0 +1,56 @@
+// memory.js
+
+// 單一 agent 內的 LRU；Map 依插入順序排列，取用時移到最後
+class MemoryCacheStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries;
+        this.ttl = options.ttl;
+        this.entries = new Map();  // key -> { value, expiresAt }
+    }
+
+    async start() {}
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        if (entry.expiresAt < Date.now()) {
+            return null;
+        }
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+    }
+
+    // 刪除 key 以 prefix 開頭的項目，回傳刪除的數量
+    async deletePrefix(prefix) {
+        let count = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    async close() {
+        this.entries.clear();
+    }
+}
+
+export default MemoryCacheStore;
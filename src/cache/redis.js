@@ -0,0 +1,61 @@
+// redis.js
+import { createClient } from 'redis';
+
+// 多個 agent 共用的快取：<prefix><language>:<hash> (string, JSON)，以 PX 設定存活時間
+// 淘汰由 Redis 的 maxmemory-policy 負責
+class RedisCacheStore {
+    constructor(options = {}) {
+        this.options = options;
+        this.client = null;
+    }
+
+    // 啟動時連不上即失敗 (由 Agent 改為不使用快取)；連線後中斷才自動重連
+    async start() {
+        let connected = false;
+        this.client = createClient({
+            url: this.options.url,
+            socket: { reconnectStrategy: retries => connected && Math.min(retries * 50, 500) }
+        });
+        this.client.on('error', error => console.error('[Cache] Redis error:', error.message));
+        await this.client.connect();
+        connected = true;
+    }
+
+    // 快取無法使用時視為未命中，照常執行任務
+    async get(key) {
+        try {
+            const raw = await this.client.get(this.options.prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.error('[Cache] Lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            await this.client.set(this.options.prefix + key, JSON.stringify(value), { PX: this.options.ttl });
+        } catch (error) {
+            console.error('[Cache] Store failed:', error.message);
+        }
+    }
+
+    async deletePrefix(prefix) {
+        let count = 0;
+        for await (const key of this.client.scanIterator({ MATCH: `${this.options.prefix}${prefix}*`, COUNT: 500 })) {
+            count += await this.client.del(key);
+        }
+        return count;
+    }
+
+    get size() {
+        return null;
+    }
+
+    async close() {
+        await this.client?.quit().catch(() => {});
+        this.client = null;
+    }
+}
+
+export default RedisCacheStore;
@@ -0,0 +1,14 @@
+// canonical.js
+
+// 以排序後的 key 序列化的 JSON，內容相同的值不論 key 順序都得到相同字串
+// 用於訊息簽章 (auth.js)、輸出比對 (comparators.js) 與結果快取的 key (cache)
+export function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// cli.js
+import { loadConfig, ConfigError } from './config/loadConfig.js';
+import config from './config/config.js';
+import Agent from './agent.js';
+import JudgeServer from './httpServer.js';
+
+const USAGE = `Usage: judge-agent [--config <file>] [--http | --standalone]
+
+Options:
+  -c, --config <file>  JSON config file (default: $JUDGE_CONFIG or ./agent.config.json)
+  --http               Also serve the HTTP judge API
+  --standalone         Serve the HTTP judge API without connecting to the web server
+  -h, --help           Show this message
+
+Environment overrides:
+  JUDGE_TRANSPORT, JUDGE_SERVER_URL, JUDGE_REDIS_URL,
+  JUDGE_AUTH_SECRET, JUDGE_AUTH_KEY_ID, JUDGE_AUTH_REQUIRED,
+  JUDGE_METRICS_BACKEND, JUDGE_METRICS_PORT, JUDGE_REGION,
+  JUDGE_HTTP_ENABLED, JUDGE_HTTP_HOST, JUDGE_HTTP_PORT,
+  JUDGE_HTTP_CORS_ORIGINS (comma-separated origins),
+  JUDGE_MAX_RUNNERS, JUDGE_MAX_QUEUE_SIZE, JUDGE_POOL_ENABLED, JUDGE_PULL_IMAGES,
+  JUDGE_OUTPUT_LIMIT, JUDGE_MAX_TIMEOUT, JUDGE_MAX_MEMORY_LIMIT, JUDGE_MAX_CPU_LIMIT,
+  JUDGE_MAX_CASE_TIME_LIMIT, JUDGE_WORK_DIR, JUDGE_IMAGE_<LANGUAGE>`;
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--http') {
+            options.http = true;
+        } else if (arg === '--standalone') {
+            options.http = true;
+            options.standalone = true;
+        } else if (arg === '-c' || arg === '--config') {
+            options.file = argv[++i];
+            if (!options.file) {
+                throw new Error(`${arg} requires a file path`);
+            }
+        } else if (arg.startsWith('--config=')) {
+            options.file = arg.slice('--config='.length);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        loadConfig({ file: options.file });
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    const agent = new Agent();
+    agent.start({ connect: !options.standalone })
+        .then(() => {
+            if (options.http || config.http.enabled) {
+                return new JudgeServer(agent).start();
+            }
+        })
+        .catch(error => {
+            console.error('Agent initialization failed, refusing to accept tasks:', error.message);
+            process.exit(1);
+        });
+}
+
+main();
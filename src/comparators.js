@@ -0,0 +1,147 @@
+// comparators.js
+import { stdioConfig, comparatorConfig } from './config/config.js';
+import { canonical } from './canonical.js';
+
+// exact: 完全相同
+// float: 數值允許絕對 / 相對誤差
+// unordered: 不計順序 (多重集合)
+// set: 不計順序與重複
+// special: 由題目提供的 checker 程式判定
+export const COMPARATOR_TYPES = ['exact', 'float', 'unordered', 'set', 'special'];
+
+// task.comparator 可為字串 ('float') 或物件 ({ type: 'float', absEpsilon: 1e-6 })
+export function resolveComparator(spec) {
+    const comparator = typeof spec === 'string' ? { type: spec } : { ...(spec || {}) };
+    comparator.type = comparator.type || 'exact';
+
+    if (!COMPARATOR_TYPES.includes(comparator.type)) {
+        throw new Error(`Unsupported comparator: ${comparator.type}`);
+    }
+
+    if (comparator.type === 'float') {
+        comparator.absEpsilon = comparator.absEpsilon ?? comparatorConfig.absEpsilon;
+        comparator.relEpsilon = comparator.relEpsilon ?? comparatorConfig.relEpsilon;
+    }
+
+    if (comparator.type === 'special') {
+        const checker = comparator.checker;
+        if (!checker?.language || typeof checker.code !== 'string') {
+            throw new Error('Special judge requires checker.language and checker.code');
+        }
+    }
+
+    return comparator;
+}
+
+function floatEquals(actual, expected, comparator) {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+        if (Number.isNaN(actual) || Number.isNaN(expected)) {
+            return Number.isNaN(actual) && Number.isNaN(expected);
+        }
+        const diff = Math.abs(actual - expected);
+        return diff <= comparator.absEpsilon || diff <= comparator.relEpsilon * Math.abs(expected);
+    }
+    if (Array.isArray(actual) && Array.isArray(expected)) {
+        return actual.length === expected.length &&
+            actual.every((item, i) => floatEquals(item, expected[i], comparator));
+    }
+    if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+        const keys = Object.keys(expected);
+        return Object.keys(actual).length === keys.length &&
+            keys.every(key => key in actual && floatEquals(actual[key], expected[key], comparator));
+    }
+    return canonical(actual) === canonical(expected);
+}
+
+function unorderedEquals(actual, expected) {
+    if (actual.length !== expected.length) {
+        return false;
+    }
+    const counts = new Map();
+    for (const item of expected) {
+        const key = canonical(item);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    for (const item of actual) {
+        const key = canonical(item);
+        if (!counts.get(key)) {
+            return false;
+        }
+        counts.set(key, counts.get(key) - 1);
+    }
+    return true;
+}
+
+function setEquals(actual, expected) {
+    const actualSet = new Set(actual.map(canonical));
+    const expectedSet = new Set(expected.map(canonical));
+    return actualSet.size === expectedSet.size &&
+        [...expectedSet].every(key => actualSet.has(key));
+}
+
+// function 模式：比對 harness 回傳的 JSON 值
+export function compareValues(actual, expected, comparator) {
+    switch (comparator.type) {
+        case 'float':
+            return floatEquals(actual, expected, comparator);
+        case 'unordered':
+            return Array.isArray(actual) && Array.isArray(expected)
+                ? unorderedEquals(actual, expected)
+                : canonical(actual) === canonical(expected);
+        case 'set':
+            return Array.isArray(actual) && Array.isArray(expected)
+                ? setEquals(actual, expected)
+                : canonical(actual) === canonical(expected);
+        default:
+            return canonical(actual) === canonical(expected);
+    }
+}
+
+function normalizeText(text, options) {
+    let lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+    if (options.collapseWhitespace) {
+        lines = lines.map(line => line.trim().replace(/\s+/g, ' '));
+    } else if (options.ignoreTrailingSpaces) {
+        lines = lines.map(line => line.replace(/[ \t]+$/, ''));
+    }
+
+    if (options.ignoreTrailingNewlines) {
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+    }
+
+    return lines;
+}
+
+function tokenize(text) {
+    return String(text ?? '').split(/\s+/).filter(Boolean);
+}
+
+// stdio 模式：比對程式的 stdout 與預期輸出
+// float 以空白切分 token 逐一比對；unordered / set 以行為單位
+export function compareOutput(actual, expected, comparator = { type: 'exact' }, overrides = {}) {
+    const options = { ...stdioConfig, ...overrides };
+
+    switch (comparator.type) {
+        case 'float': {
+            const actualTokens = tokenize(actual);
+            const expectedTokens = tokenize(expected);
+            return actualTokens.length === expectedTokens.length &&
+                actualTokens.every((token, i) => {
+                    const a = Number(token);
+                    const b = Number(expectedTokens[i]);
+                    return Number.isNaN(a) || Number.isNaN(b)
+                        ? token === expectedTokens[i]
+                        : floatEquals(a, b, comparator);
+                });
+        }
+        case 'unordered':
+            return unorderedEquals(normalizeText(actual, options), normalizeText(expected, options));
+        case 'set':
+            return setEquals(normalizeText(actual, options), normalizeText(expected, options));
+        default:
+            return normalizeText(actual, options).join('\n') === normalizeText(expected, options).join('\n');
+    }
+}
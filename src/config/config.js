@@ -1,4 +1,16 @@
 import path from 'path';
+// 每個語言的執行方式完全由設定描述：
+//   sourceFile     - 提交的程式碼 (task.code) 寫入的檔名，也是多檔案提交預設的入口檔
+//   mainPattern    - (可選) 多檔案提交時，以此 regex 找出含 main 的入口檔
+//   entryClass     - (可選) 入口以類別名稱 (含 package) 指定，即 {{MAIN_CLASS}}
+//   compile        - (可選) 編譯步驟；command 中的 {{SOURCES}} 會替換為要編譯的檔案，
+//                    sources 為 'entry' 時只編譯入口檔，否則為所有副檔名相符的檔案
+//   runCommand     - stdio 模式執行程式的指令；{{ENTRY}} 為入口檔，{{MAIN_CLASS}} 為入口類別
+//   harness        - (可選) function 模式的測試 harness：template 為 testTemplates 的 key；
+//                    includesEntry 為 true 時 harness 以 #include / include! 載入入口檔，入口檔不另外編譯；
+//                    compile 覆寫 function 模式的編譯設定
+//   notes          - (可選) 與一般認知不同的行為，於 GET /languages 回報
+// 新增語言只需加入設定與 harness template (沒有 harness 的語言僅支援 stdio 模式)
 export const languageConfigs = {
     javascript: {
         memoryLimit: 256,
@@ -6,7 +18,29 @@ export const languageConfigs = {
         timeout: 10000,
         image: 'node:lts-alpine',
         fileExtension: '.js',
-        runCommand: ['node']
+        sourceFile: 'solution.js',
+        runCommand: ['node', '{{ENTRY}}'],
+        harness: {
+            file: 'test.js',
+            template: 'javascript',
+            command: ['node', 'test.js']
+        }
+    },
+    typescript: {
+        memoryLimit: 256,
+        cpuLimit: 0.5,
+        timeout: 10000,
+        // 以 Node 內建的 TypeScript 轉換執行 (支援 enum、namespace 等)，映像中沒有 tsc，不做型別檢查
+        image: 'node:22-alpine',
+        fileExtension: '.ts',
+        sourceFile: 'solution.ts',
+        runCommand: ['node', '--experimental-transform-types', '--no-warnings', '{{ENTRY}}'],
+        harness: {
+            file: 'test.js',
+            template: 'typescript',
+            command: ['node', '--experimental-transform-types', '--no-warnings', 'test.js']
+        },
+        notes: 'Types are removed without type checking: type errors are not reported as CE.'
     },
     python: {
         memoryLimit: 128,
@@ -14,7 +48,13 @@ export const languageConfigs = {
         timeout: 8000,
         image: 'python:3.13.1-alpine',
         fileExtension: '.py',
-        runCommand: ['python']
+        sourceFile: 'solution.py',
+        runCommand: ['python', '{{ENTRY}}'],
+        harness: {
+            file: 'test.py',
+            template: 'python',
+            command: ['python', 'test.py']
+        }
     },
     java: {
         memoryLimit: 512,
@@ -22,8 +62,175 @@ export const languageConfigs = {
         timeout: 15000,
         image: 'amazoncorretto:21',
         fileExtension: '.java',
-        compileCommand: ['javac'],
-        runCommand: ['java']
+        sourceFile: 'Solution.java',
+        mainPattern: '\\bstatic\\s+void\\s+main\\s*\\(',
+        entryClass: true,
+        compile: {
+            command: ['javac', '-encoding', 'UTF-8', '{{SOURCES}}'],
+            memoryLimit: 512,
+            timeout: 30000
+        },
+        runCommand: ['java', '{{MAIN_CLASS}}'],
+        // JVM 需要較多執行緒，且會寫入 /tmp/hsperfdata
+        sandbox: {
+            pidsLimit: 256,
+            tmpfs: { '/tmp': 'rw,noexec,nosuid,nodev,size=128m' }
+        },
+        harness: {
+            file: 'TestRunner.java',
+            template: 'java',
+            command: ['java', 'TestRunner']
+        }
+    },
+    c: {
+        memoryLimit: 128,
+        cpuLimit: 0.5,
+        timeout: 5000,
+        image: 'gcc:14',
+        fileExtension: '.c',
+        sourceFile: 'solution.c',
+        mainPattern: '\\bint\\s+main\\s*\\(',
+        compile: {
+            command: ['gcc', '-O2', '-std=c17', '-o', 'solution', '{{SOURCES}}', '-lm'],
+            memoryLimit: 512,
+            timeout: 30000
+        },
+        runCommand: ['./solution'],
+        // harness 以 C++ 撰寫，function 模式的提交與 harness 一起以 g++ 編譯
+        // (-fpermissive 接受 malloc 回傳值未轉型等 C 寫法)
+        harness: {
+            file: 'harness.cpp',
+            template: 'c',
+            command: ['./solution'],
+            includesEntry: true,
+            compile: {
+                command: ['g++', '-O2', '-std=c++17', '-fpermissive', '-o', 'solution', '{{SOURCES}}', '-lm']
+            }
+        },
+        notes: 'Function mode compiles the submission as C++ (g++ -fpermissive) together with the harness. Array results need a trailing int* returnSize parameter.'
+    },
+    cpp: {
+        memoryLimit: 128,
+        cpuLimit: 0.5,
+        timeout: 5000,
+        image: 'gcc:14',
+        fileExtension: '.cpp',
+        sourceFile: 'solution.cpp',
+        mainPattern: '\\bint\\s+main\\s*\\(',
+        compile: {
+            command: ['g++', '-O2', '-std=c++17', '-o', 'solution', '{{SOURCES}}'],
+            memoryLimit: 512,
+            timeout: 30000
+        },
+        runCommand: ['./solution'],
+        harness: {
+            file: 'harness.cpp',
+            template: 'cpp',
+            command: ['./solution'],
+            includesEntry: true
+        }
+    },
+    go: {
+        memoryLimit: 256,
+        cpuLimit: 0.5,
+        timeout: 5000,
+        image: 'golang:1.23-alpine',
+        fileExtension: '.go',
+        sourceFile: 'main.go',
+        mainPattern: '^func\\s+main\\s*\\(',
+        compile: {
+            command: ['go', 'build', '-o', 'solution', '{{SOURCES}}'],
+            env: ['GOCACHE=/tmp/gocache', 'GOPATH=/tmp/gopath', 'CGO_ENABLED=0'],
+            memoryLimit: 1536,
+            timeout: 60000,
+            // build cache 放在 tmpfs
+            sandbox: {
+                tmpfs: { '/tmp': 'rw,exec,nosuid,nodev,size=512m' }
+            }
+        },
+        runCommand: ['./solution'],
+        // harness 與提交的程式碼同為 package main 一起編譯
+        harness: {
+            file: 'harness.go',
+            template: 'go',
+            command: ['./solution']
+        }
+    },
+    rust: {
+        memoryLimit: 128,
+        cpuLimit: 0.5,
+        timeout: 5000,
+        image: 'rust:1-slim',
+        fileExtension: '.rs',
+        sourceFile: 'main.rs',
+        mainPattern: '^\\s*fn\\s+main\\s*\\(',
+        compile: {
+            command: ['rustc', '-O', '--edition', '2021', '-o', 'solution', '{{SOURCES}}'],
+            sources: 'entry',  // 其餘模組由 mod 宣告載入
+            memoryLimit: 1024,
+            timeout: 60000
+        },
+        runCommand: ['./solution'],
+        harness: {
+            file: 'harness.rs',
+            template: 'rust',
+            command: ['./solution'],
+            includesEntry: true
+        }
+    }
+};
+
+// 可由設定檔或環境變數覆寫，見 loadConfig.js
+// transport: websocket (伺服器推送任務) | redis (agent 從 Redis stream 拉取任務)
+export const agentConfig = {
+    transport: 'websocket',
+    serverUrl: 'wss://api.nccumisoj.online/ws'
+};
+
+// Redis transport，key 說明見 transports/redis.js
+export const redisConfig = {
+    url: 'redis://localhost:6379',
+    prefix: 'judge:',
+    group: 'agents',            // tasks stream 的 consumer group
+    heartbeatInterval: 5000,
+    registrationTtl: 15000,     // agent:<id> 在最後一次 heartbeat 後保留的時間
+    visibilityTimeout: 60000,   // 任務 idle 超過此時間 (持有的 agent 已停止) 即放回佇列
+    blockTimeout: 5000,         // XREADGROUP 等待新任務的時間
+    resultsMaxLength: 10000     // results stream 大約保留的筆數
+};
+
+// 伺服器與 agent 間訊息的 HMAC 簽章 (auth.js)；secret 應以 JUDGE_AUTH_SECRET 提供
+export const authConfig = {
+    secret: null,
+    keyId: 'default',        // 輪替 secret 時讓伺服器辨識使用的金鑰
+    required: true,          // 連接伺服器時必須設定 secret
+    maxClockSkew: 300000     // timestamp 與目前時間的最大差距 (ms)
+};
+
+// HTTP judge API (httpServer.js)，以 --http 或 --standalone 啟用
+export const httpConfig = {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 8080,
+    bodyLimit: '10mb',
+    maxSubmissions: 1000,  // 保留的提交紀錄數量
+    // 允許從瀏覽器呼叫 API 的網頁 origin (例如 'https://judge.example.com')；
+    // 預設為空，其他網頁無法對本機的 judge 提交程式碼
+    corsOrigins: []
+};
+
+// backend: cloudwatch | prometheus | log | none
+export const metricsConfig = {
+    backend: 'cloudwatch',
+    interval: 60000,  // 定期回報資源使用量的間隔
+    cloudwatch: {
+        region: 'ap-northeast-1',
+        namespace: 'NCCUMISOJ/Resources'
+    },
+    prometheus: {
+        host: '0.0.0.0',
+        port: 9100,
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]  // 執行時間 (秒)
     }
 };
 
@@ -33,18 +240,159 @@ export const workerConfig = {
     pollInterval: 100
 };
 
+// 每個語言預先啟動、閒置等待的容器數量 (未列出的語言不使用 pool)
+export const poolConfig = {
+    enabled: true,
+    size: {
+        python: 2,
+        javascript: 2,
+        java: 1
+    }
+};
+
+// 與伺服器的 WebSocket 連線
+export const connectionConfig = {
+    heartbeatInterval: 15000,   // 送出 ping 的間隔
+    heartbeatTimeout: 45000,    // 超過此時間未收到任何訊息即視為斷線
+    reconnect: {
+        baseDelay: 1000,        // 重連延遲自此倍增
+        maxDelay: 60000,
+        jitter: 0.5             // 延遲隨機減少的最大比例，避免所有 agent 同時重連
+    },
+    // 尚未被確認的 taskComplete / taskError
+    outboxFile: path.resolve(process.cwd(), 'state', 'outbox.json'),
+    outbox: {
+        maxEntries: 1000,               // 伺服器一直未確認時，超過的最舊訊息被丟棄
+        maxAge: 24 * 60 * 60 * 1000,    // ms，超過此時間仍未確認的訊息被丟棄
+        persistDelay: 200               // ms，合併此期間內的變更為一次寫入
+    }
+};
+
+// 收到 SIGTERM / SIGINT 或伺服器 drain 訊息時，等待執行中任務的時間上限
+export const shutdownConfig = {
+    drainTimeout: 30000,  // 超過後強制終止剩餘任務並回報 aborted
+    abortTimeout: 10000   // 等待被終止的任務完成清理
+};
+
+export const imageConfig = {
+    pullOnStartup: true  // 啟動時拉取並檢查 languageConfigs 中所有映像
+};
+
+// 題目可透過 task 覆寫資源限制，但不可超過以下上限
+export const limitConfig = {
+    outputLimit: 1024 * 1024,  // 未指定時的輸出上限 (bytes)，stdout 與 stderr 合計
+    max: {
+        timeout: 60000,       // ms
+        memoryLimit: 1024,    // MB
+        cpuLimit: 2,          // CPU 核心數
+        caseTimeLimit: 20000, // ms
+        outputLimit: 16 * 1024 * 1024  // bytes
+    }
+};
+
+export const outputConfig = {
+    truncateLength: 4096,     // 結果中每段輸出 (stdout、stderr、編譯訊息) 保留的字元數
+    maxParseErrorLogs: 5      // 每個任務最多記錄幾行無法解析的 harness 輸出
+};
+
+// stdin/stdout 模式的輸出比對容許度，可由 task.outputMatch 覆寫
+export const stdioConfig = {
+    ignoreTrailingSpaces: true,    // 忽略每行行尾空白
+    ignoreTrailingNewlines: true,  // 忽略輸出結尾多餘的換行
+    collapseWhitespace: false      // 將連續空白視為單一空白
+};
+
+// 比較器預設值，可由 task.comparator 覆寫
+export const comparatorConfig = {
+    absEpsilon: 1e-6,
+    relEpsilon: 1e-6
+};
+
+// 提交程式容器的安全設定；語言可用 sandbox (執行) 與 compile.sandbox (編譯) 覆寫
+export const sandboxConfig = {
+    user: '65534:65534',                    // nobody
+    pidsLimit: 64,                          // 防止 fork bomb
+    fileSizeLimit: 16 * 1024 * 1024,        // bytes (RLIMIT_FSIZE)
+    openFilesLimit: 256,
+    capDrop: ['ALL'],
+    readonlyRootfs: true,
+    tmpfs: { '/tmp': 'rw,noexec,nosuid,nodev,size=64m' },
+    readonlyCode: true,                     // 執行階段以唯讀掛載 /code (程式與 harness)
+    // 編譯階段需寫入 /code 並產生較大的檔案
+    compile: {
+        readonlyCode: false,
+        pidsLimit: 256,
+        fileSizeLimit: 128 * 1024 * 1024
+    },
+    // 啟動時以此語言的映像檢查設定是否生效
+    verifyOnStartup: true,
+    probeLanguage: 'python'
+};
+
+// 判題結果快取 (cache/)：內容相同的提交直接回傳先前的結果
+// store: memory (單一 agent 的 LRU) | redis (agent 間共用)
+export const cacheConfig = {
+    enabled: true,
+    store: 'memory',
+    maxEntries: 10000,                // memory store 保留的筆數
+    ttl: 7 * 24 * 60 * 60 * 1000,     // ms
+    skipVerdicts: ['TLE'],            // 受主機負載影響的結果不快取
+    imageRefreshInterval: 300000,     // 重新讀取映像 ID 的間隔，映像更新後舊結果即不再命中
+    redis: {
+        url: null,                    // 未指定時使用 redisConfig.url
+        prefix: 'judge:cache:'
+    }
+};
+
+// 多檔案提交 (task.files / task.archive) 的上限
+export const submissionConfig = {
+    maxFiles: 100,
+    maxTotalSize: 8 * 1024 * 1024  // bytes，zip 解壓後的總大小
+};
+
+// 每個提交的資源用量：執行期間定期讀取提交容器本身的 cgroup 統計
+export const accountingConfig = {
+    enabled: true,
+    sampleInterval: 100  // ms；在取樣間隔內結束的程式可能量不到峰值記憶體
+};
+
+// 大型測試集分組 (task.shards)：測試案例依序分成多組，在多個容器中平行執行
+// 額外的容器佔用 agent 的執行名額，名額不足時減少組數
+export const shardConfig = {
+    maxShards: 4,
+    minCasesPerShard: 10  // 每組至少的案例數，案例少時不值得多啟動容器
+};
+
 export const systemConfig = {
     workDir: path.resolve(process.cwd(), 'temp'), 
     containerDefaults: {
         networkMode: 'none',
-        autoRemove: true,
+        autoRemove: false,  // 結束後需 inspect 容器狀態 (OOMKilled)，由 Runner 自行移除
         privileged: false,
         securityOpt: ['no-new-privileges']
     }
 };
 
 export default {
+    agent: agentConfig,
+    redis: redisConfig,
+    auth: authConfig,
+    metrics: metricsConfig,
+    http: httpConfig,
     languages: languageConfigs,
     worker: workerConfig,
+    pool: poolConfig,
+    connection: connectionConfig,
+    shutdown: shutdownConfig,
+    images: imageConfig,
+    limits: limitConfig,
+    output: outputConfig,
+    stdio: stdioConfig,
+    comparator: comparatorConfig,
+    sandbox: sandboxConfig,
+    cache: cacheConfig,
+    submission: submissionConfig,
+    accounting: accountingConfig,
+    shards: shardConfig,
     system: systemConfig
 };
\ No newline at end of file
@@ -0,0 +1,323 @@
+// loadConfig.js
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import config from './config.js';
+import { METRICS_BACKENDS } from '../metrics/index.js';
+import { TRANSPORTS } from '../transports/index.js';
+import { CACHE_STORES } from '../cache/index.js';
+
+const DEFAULT_CONFIG_FILE = 'agent.config.json';
+
+// 每個語言共用的 key
+const EACH_LANGUAGE = '*';
+
+// 可由設定檔覆寫的欄位與型別 (未列出的欄位視為錯誤)
+const schema = {
+    agent: { transport: 'transport', serverUrl: 'wsUrl' },
+    redis: {
+        url: 'redisUrl',
+        prefix: 'string',
+        group: 'string',
+        heartbeatInterval: 'positiveInteger',
+        registrationTtl: 'positiveInteger',
+        visibilityTimeout: 'positiveInteger',
+        blockTimeout: 'positiveInteger',
+        resultsMaxLength: 'positiveInteger'
+    },
+    auth: { secret: 'string', keyId: 'string', required: 'boolean', maxClockSkew: 'positiveInteger' },
+    metrics: {
+        backend: 'metricsBackend',
+        interval: 'positiveInteger',
+        cloudwatch: { region: 'string', namespace: 'string' },
+        prometheus: { host: 'string', port: 'port' }
+    },
+    http: {
+        enabled: 'boolean',
+        host: 'string',
+        port: 'port',
+        bodyLimit: 'string',
+        maxSubmissions: 'positiveInteger',
+        corsOrigins: 'originList'
+    },
+    worker: { maxRunners: 'positiveInteger', maxQueueSize: 'positiveInteger', pollInterval: 'positiveInteger' },
+    pool: { enabled: 'boolean', size: { [EACH_LANGUAGE]: 'nonNegativeInteger' } },
+    images: { pullOnStartup: 'boolean' },
+    limits: {
+        outputLimit: 'positiveInteger',
+        max: {
+            timeout: 'positiveInteger',
+            memoryLimit: 'positiveNumber',
+            cpuLimit: 'positiveNumber',
+            caseTimeLimit: 'positiveInteger',
+            outputLimit: 'positiveInteger'
+        }
+    },
+    languages: {
+        [EACH_LANGUAGE]: {
+            image: 'string',
+            memoryLimit: 'positiveNumber',
+            cpuLimit: 'positiveNumber',
+            timeout: 'positiveInteger'
+        }
+    },
+    connection: {
+        heartbeatInterval: 'positiveInteger',
+        heartbeatTimeout: 'positiveInteger',
+        reconnect: { baseDelay: 'positiveInteger', maxDelay: 'positiveInteger', jitter: 'ratio' },
+        outboxFile: 'path',
+        outbox: { maxEntries: 'positiveInteger', maxAge: 'positiveInteger', persistDelay: 'positiveInteger' }
+    },
+    shutdown: { drainTimeout: 'positiveInteger', abortTimeout: 'positiveInteger' },
+    sandbox: { verifyOnStartup: 'boolean', probeLanguage: 'language' },
+    cache: {
+        enabled: 'boolean',
+        store: 'cacheStore',
+        maxEntries: 'positiveInteger',
+        ttl: 'positiveInteger',
+        imageRefreshInterval: 'positiveInteger',
+        redis: { url: 'redisUrl', prefix: 'string' }
+    },
+    submission: { maxFiles: 'positiveInteger', maxTotalSize: 'positiveInteger' },
+    accounting: { enabled: 'boolean', sampleInterval: 'positiveInteger' },
+    shards: { maxShards: 'positiveInteger', minCasesPerShard: 'positiveInteger' },
+    system: { workDir: 'path' }
+};
+
+// 環境變數 -> 設定路徑；另外 JUDGE_IMAGE_<LANGUAGE> 覆寫該語言的映像
+const ENV_OVERRIDES = {
+    JUDGE_TRANSPORT: 'agent.transport',
+    JUDGE_SERVER_URL: 'agent.serverUrl',
+    JUDGE_REDIS_URL: 'redis.url',
+    JUDGE_AUTH_SECRET: 'auth.secret',
+    JUDGE_AUTH_KEY_ID: 'auth.keyId',
+    JUDGE_AUTH_REQUIRED: 'auth.required',
+    JUDGE_METRICS_BACKEND: 'metrics.backend',
+    JUDGE_METRICS_PORT: 'metrics.prometheus.port',
+    JUDGE_REGION: 'metrics.cloudwatch.region',
+    JUDGE_HTTP_ENABLED: 'http.enabled',
+    JUDGE_HTTP_HOST: 'http.host',
+    JUDGE_HTTP_PORT: 'http.port',
+    JUDGE_HTTP_CORS_ORIGINS: 'http.corsOrigins',
+    JUDGE_MAX_RUNNERS: 'worker.maxRunners',
+    JUDGE_MAX_QUEUE_SIZE: 'worker.maxQueueSize',
+    JUDGE_POOL_ENABLED: 'pool.enabled',
+    JUDGE_PULL_IMAGES: 'images.pullOnStartup',
+    JUDGE_OUTPUT_LIMIT: 'limits.outputLimit',
+    JUDGE_MAX_TIMEOUT: 'limits.max.timeout',
+    JUDGE_MAX_MEMORY_LIMIT: 'limits.max.memoryLimit',
+    JUDGE_MAX_CPU_LIMIT: 'limits.max.cpuLimit',
+    JUDGE_MAX_CASE_TIME_LIMIT: 'limits.max.caseTimeLimit',
+    JUDGE_CACHE_ENABLED: 'cache.enabled',
+    JUDGE_CACHE_STORE: 'cache.store',
+    JUDGE_WORK_DIR: 'system.workDir'
+};
+const IMAGE_ENV_PREFIX = 'JUDGE_IMAGE_';
+
+// 錯誤訊息中不顯示的值
+const SECRET_KEYS = ['auth.secret'];
+
+// scheme://host[:port]，不含路徑
+function isOrigin(value) {
+    try {
+        return typeof value === 'string' && new URL(value).origin === value;
+    } catch {
+        return false;
+    }
+}
+
+const types = {
+    string: value => typeof value === 'string' && value.length > 0 || 'must be a non-empty string',
+    path: value => typeof value === 'string' && value.length > 0 || 'must be a non-empty path',
+    boolean: value => typeof value === 'boolean' || 'must be true or false',
+    positiveInteger: value => Number.isInteger(value) && value > 0 || 'must be a positive integer',
+    nonNegativeInteger: value => Number.isInteger(value) && value >= 0 || 'must be a non-negative integer',
+    positiveNumber: value => typeof value === 'number' && Number.isFinite(value) && value > 0 || 'must be a positive number',
+    port: value => Number.isInteger(value) && value > 0 && value < 65536 || 'must be a port number (1-65535)',
+    transport: value => TRANSPORTS.includes(value) || `must be one of: ${TRANSPORTS.join(', ')}`,
+    redisUrl: value => {
+        try {
+            return ['redis:', 'rediss:'].includes(new URL(value).protocol) || 'must be a redis:// or rediss:// URL';
+        } catch {
+            return 'must be a redis:// or rediss:// URL';
+        }
+    },
+    metricsBackend: value => METRICS_BACKENDS.includes(value) || `must be one of: ${METRICS_BACKENDS.join(', ')}`,
+    cacheStore: value => CACHE_STORES.includes(value) || `must be one of: ${CACHE_STORES.join(', ')}`,
+    ratio: value => typeof value === 'number' && value >= 0 && value <= 1 || 'must be a number between 0 and 1',
+    language: value => Object.hasOwn(config.languages, value) || `must be one of: ${Object.keys(config.languages).join(', ')}`,
+    originList: value => Array.isArray(value) && value.every(isOrigin) || 'must be a list of origins (e.g. https://judge.example.com)',
+    wsUrl: value => {
+        try {
+            return ['ws:', 'wss:'].includes(new URL(value).protocol) || 'must be a ws:// or wss:// URL';
+        } catch {
+            return 'must be a ws:// or wss:// URL';
+        }
+    }
+};
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 依 schema 檢查 value，錯誤訊息加上來源 (設定檔或環境變數) 與欄位路徑
+function validate(value, node, keyPath, source, problems) {
+    if (typeof node === 'string') {
+        const result = types[node](value);
+        if (result !== true) {
+            const got = SECRET_KEYS.includes(keyPath) ? '' : ` (got ${JSON.stringify(value)})`;
+            problems.push(`${source}: ${keyPath} ${result}${got}`);
+        }
+        return;
+    }
+
+    if (!isPlainObject(value)) {
+        problems.push(`${source}: ${keyPath || 'configuration'} must be an object`);
+        return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (Object.hasOwn(node, key)) {
+            validate(child, node[key], childPath, source, problems);
+        } else if (Object.hasOwn(node, EACH_LANGUAGE)) {
+            if (!Object.hasOwn(config.languages, key)) {
+                problems.push(`${source}: ${childPath} is not a supported language`);
+                continue;
+            }
+            validate(child, node[EACH_LANGUAGE], childPath, source, problems);
+        } else {
+            problems.push(`${source}: unknown key ${childPath}`);
+        }
+    }
+}
+
+function schemaType(keyPath) {
+    return keyPath.split('.').reduce((node, key) => node?.[key] ?? node?.[EACH_LANGUAGE], schema);
+}
+
+// 環境變數皆為字串，依 schema 轉為數字或布林；無法轉換時保留原字串，由 validate 回報
+function coerce(value, type) {
+    if (type === 'boolean') {
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+        return value;
+    }
+    if (['positiveInteger', 'nonNegativeInteger', 'positiveNumber', 'ratio', 'port'].includes(type)) {
+        return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    }
+    if (type === 'originList') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+}
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        node[key] = node[key] || {};
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+// 直接修改原本的設定物件，讓已 import config 的模組看到覆寫後的值
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            merge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+function readConfigFile(file, problems) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        problems.push(error instanceof SyntaxError
+            ? `${file}: invalid JSON (${error.message})`
+            : `${file}: cannot be read (${error.message})`);
+        return null;
+    }
+}
+
+function envOverrides(env, problems) {
+    const overrides = {};
+    for (const [name, value] of Object.entries(env)) {
+        let keyPath = ENV_OVERRIDES[name];
+        if (!keyPath && name.startsWith(IMAGE_ENV_PREFIX)) {
+            keyPath = `languages.${name.slice(IMAGE_ENV_PREFIX.length).toLowerCase()}.image`;
+        }
+        if (!keyPath || value === undefined) continue;
+
+        const override = {};
+        setPath(override, keyPath, coerce(value, schemaType(keyPath)));
+        validate(override, schema, '', name, problems);
+        merge(overrides, override);
+    }
+    return overrides;
+}
+
+// 設定來源優先順序：環境變數 > 設定檔 > config.js 的預設值
+// options.file 未指定時使用 JUDGE_CONFIG 或目前目錄的 agent.config.json (不存在則略過)
+export function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const explicitFile = options.file || env.JUDGE_CONFIG;
+    const file = path.resolve(explicitFile || DEFAULT_CONFIG_FILE);
+    const problems = [];
+
+    let fileConfig = null;
+    if (explicitFile || existsSync(file)) {
+        fileConfig = readConfigFile(file, problems);
+        if (fileConfig !== null) {
+            validate(fileConfig, schema, '', file, problems);
+        }
+    }
+
+    const overrides = envOverrides(env, problems);
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    if (fileConfig) {
+        merge(config, fileConfig);
+        console.log(`[Config] Loaded ${file}`);
+    }
+    merge(config, overrides);
+
+    // 相對路徑以目前目錄為準
+    config.system.workDir = path.resolve(config.system.workDir);
+    config.connection.outboxFile = path.resolve(config.connection.outboxFile);
+
+    const crossProblems = [];
+    if (config.connection.heartbeatTimeout <= config.connection.heartbeatInterval) {
+        crossProblems.push('connection.heartbeatTimeout must be greater than connection.heartbeatInterval');
+    }
+    if (config.connection.reconnect.baseDelay > config.connection.reconnect.maxDelay) {
+        crossProblems.push('connection.reconnect.baseDelay must not exceed connection.reconnect.maxDelay');
+    }
+    // 執行中的任務每次 heartbeat 重設 idle time，須在 visibilityTimeout 前完成
+    if (config.redis.visibilityTimeout <= config.redis.heartbeatInterval * 2) {
+        crossProblems.push('redis.visibilityTimeout must be more than twice redis.heartbeatInterval');
+    }
+    if (config.redis.registrationTtl <= config.redis.heartbeatInterval) {
+        crossProblems.push('redis.registrationTtl must be greater than redis.heartbeatInterval');
+    }
+    if (crossProblems.length > 0) {
+        throw new ConfigError(crossProblems);
+    }
+
+    return config;
+}
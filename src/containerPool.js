@@ -0,0 +1,161 @@
+// containerPool.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import config from './config/config.js';
+import { resolveLimits } from './limits.js';
+import { IDLE_COMMAND, resolveSandbox, containerOptions } from './sandbox.js';
+
+// pool 中的容器已在執行 idle 指令；以 exec 執行 cmd，並提供與 Docker container 相同的介面
+// (start / logs / wait / stats / kill / stop / remove)，讓 Runner 不需區分容器來源
+export class PooledContainer {
+    constructor(container, cmd = null) {
+        this.container = container;
+        this.id = container.id;
+        this.cmd = cmd;
+        this.process = null;
+        this.stream = null;
+    }
+
+    async start() {
+        if (!this.cmd) return;  // 容器已啟動
+
+        this.process = await this.container.exec({
+            Cmd: this.cmd,
+            WorkingDir: '/code',
+            AttachStdout: true,
+            AttachStderr: true
+        });
+        this.stream = await this.process.start({ hijack: true, stdin: false });
+    }
+
+    async logs() {
+        return this.stream;
+    }
+
+    wait(callback) {
+        this.stream.on('end', () => {
+            this.process.inspect()
+                .then(data => callback(null, { StatusCode: data.ExitCode }))
+                .catch(error => callback(error));
+        });
+    }
+
+    exec(options) {
+        return this.container.exec(options);
+    }
+
+    inspect() {
+        return this.container.inspect();
+    }
+
+    stats(options) {
+        return this.container.stats(options);
+    }
+
+    kill() {
+        return this.container.kill();
+    }
+
+    // idle 指令不處理 SIGTERM，直接終止
+    stop() {
+        return this.container.kill();
+    }
+
+    remove() {
+        return this.container.remove({ force: true });
+    }
+}
+
+class ContainerPool {
+    constructor(docker, options = config.pool) {
+        this.docker = docker;
+        this.enabled = options.enabled;
+        this.sizes = options.size || {};
+
+        this.idle = new Map();     // language -> [{ container, executionDir }]
+        this.filling = new Map();  // language -> 建立中的數量
+        this.closed = false;
+    }
+
+    async start(languages = Object.keys(this.sizes)) {
+        if (!this.enabled) return;
+        await Promise.all(languages.map(language => this.fill(language)));
+        console.log('[Pool] Warm containers ready:', this.getStatus());
+    }
+
+    async fill(language) {
+        const size = this.sizes[language] || 0;
+        const idle = this.idle.get(language) || [];
+        this.idle.set(language, idle);
+
+        while (!this.closed && idle.length + (this.filling.get(language) || 0) < size) {
+            this.filling.set(language, (this.filling.get(language) || 0) + 1);
+            try {
+                const entry = await this.createEntry(language);
+                if (this.closed) {
+                    await this.destroy(entry);
+                } else {
+                    idle.push(entry);
+                }
+            } catch (error) {
+                console.error(`[Pool] Failed to create ${language} container:`, error.message);
+                break;
+            } finally {
+                this.filling.set(language, this.filling.get(language) - 1);
+            }
+        }
+    }
+
+    // 每個容器有自己的目錄掛載在 /code，取用後由 Runner 寫入程式檔案
+    async createEntry(language) {
+        const langConfig = config.languages[language];
+        const executionId = `pool-${language}-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+        const executionDir = path.resolve(process.cwd(), config.system.workDir, executionId);
+        await fs.mkdir(executionDir, { recursive: true });
+
+        const container = await this.docker.createContainer({
+            Image: langConfig.image,
+            WorkingDir: '/code',
+            Cmd: IDLE_COMMAND,
+            ...containerOptions(executionDir, resolveLimits({}, langConfig), resolveSandbox(langConfig))
+        });
+        await container.start();
+
+        return { language, container, executionDir };
+    }
+
+    // 取出一個閒置容器 (用完即丟棄)，並在背景補充；沒有可用容器時回傳 null
+    claim(language) {
+        if (!this.enabled || this.closed) return null;
+
+        const entry = this.idle.get(language)?.shift() || null;
+        if (entry) {
+            this.fill(language).catch(error => {
+                console.error(`[Pool] Refill error for ${language}:`, error.message);
+            });
+        }
+        return entry;
+    }
+
+    async destroy(entry) {
+        await entry.container.remove({ force: true }).catch(() => {});
+        await fs.rm(entry.executionDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    async close() {
+        this.closed = true;
+        const entries = [...this.idle.values()].flat();
+        this.idle.clear();
+        await Promise.all(entries.map(entry => this.destroy(entry)));
+    }
+
+    getStatus() {
+        const status = {};
+        for (const [language, idle] of this.idle) {
+            status[language] = idle.length;
+        }
+        return status;
+    }
+}
+
+export default ContainerPool;
@@ -0,0 +1,182 @@
+// httpServer.js
+import express from 'express';
+import cors from 'cors';
+import { v4 as uuidv4 } from 'uuid';
+import { httpConfig, languageConfigs, limitConfig } from './config/config.js';
+
+// 提交被拒絕時的 HTTP 狀態碼
+const REJECT_STATUS = {
+    invalidTask: 400,
+    languageUnavailable: 400,
+    queueFull: 503,
+    draining: 503
+};
+
+// 不經過中央伺服器，直接以 HTTP 提交任務；任務進入 Agent 的同一個佇列、由相同的 Runner 執行
+//   POST /submissions      - body 與 WebSocket task 相同，回傳 submission id
+//   GET  /submissions/:id  - 狀態與結果
+//   GET  /languages        - 可用的語言與資源限制
+class JudgeServer {
+    constructor(agent, options = httpConfig) {
+        this.agent = agent;
+        this.options = options;
+        this.submissions = new Map();  // id -> submission (依建立順序)
+        this.server = null;
+        this.app = this.createApp();
+    }
+
+    createApp() {
+        const app = express();
+        // 只有設定的 origin 可從瀏覽器呼叫；其他網頁的請求直接拒絕 (不帶 Origin 的 curl 等客戶端不受影響)
+        const allowedOrigins = new Set(this.options.corsOrigins || []);
+        app.use((req, res, next) => {
+            const { origin } = req.headers;
+            if (origin !== undefined && !allowedOrigins.has(origin)) {
+                return res.status(403).json({ error: `Origin ${origin} is not allowed` });
+            }
+            next();
+        });
+        app.use(cors({ origin: [...allowedOrigins] }));
+        app.use(express.json({ limit: this.options.bodyLimit }));
+
+        app.post('/submissions', (req, res) => this.createSubmission(req, res));
+
+        app.get('/submissions/:id', (req, res) => {
+            const submission = this.submissions.get(req.params.id);
+            if (!submission) {
+                return res.status(404).json({ error: `Submission ${req.params.id} not found` });
+            }
+            res.json(this.view(submission));
+        });
+
+        app.get('/languages', (req, res) => {
+            res.json({ languages: this.languages(), maxLimits: limitConfig.max });
+        });
+
+        // body 不是合法 JSON 等錯誤
+        app.use((error, req, res, next) => {
+            res.status(error.status || 500).json({ error: error.message });
+        });
+
+        return app;
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.options.port, this.options.host, resolve);
+            this.server.once('error', reject);
+        });
+        console.log(`[HTTP] Judge API listening on ${this.options.host}:${this.options.port}`);
+    }
+
+    async close() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    createSubmission(req, res) {
+        // 任務內容由 Agent 依協定檢查，不合格時以 invalidTask 拒絕
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Request body must be a task object' });
+        }
+
+        const id = uuidv4();
+        const submission = {
+            id,
+            status: 'queued',
+            language: req.body.language,
+            mode: req.body.mode || 'function',
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            verdict: null,
+            result: null,
+            error: null,
+            cases: []
+        };
+        this.submissions.set(id, submission);
+        this.prune();
+
+        // 被拒絕時 handler 會在 submitLocal 中同步被呼叫
+        this.agent.submitLocal({ ...req.body, id }, message => this.update(submission, message));
+
+        if (submission.status === 'rejected') {
+            this.submissions.delete(id);
+            return res.status(REJECT_STATUS[submission.reason] || 503).json({
+                error: submission.error,
+                reason: submission.reason,
+                errors: submission.errors
+            });
+        }
+        res.status(202).json({ id, status: submission.status });
+    }
+
+    update(submission, message) {
+        switch (message.type) {
+            case 'taskProgress':
+                submission.status = 'running';
+                submission.cases.push(message.result);
+                return;
+            case 'taskComplete':
+                submission.status = 'completed';
+                submission.verdict = message.verdict;
+                submission.result = message.result;
+                submission.metrics = message.metrics;
+                break;
+            case 'taskError':
+                submission.status = 'error';
+                submission.error = message.error;
+                submission.cases = message.partialResults?.length ? message.partialResults : submission.cases;
+                break;
+            case 'taskRejected':
+                submission.status = 'rejected';
+                submission.reason = message.reason;
+                submission.error = message.error;
+                submission.errors = message.errors;
+                break;
+            case 'taskCancelled':
+            case 'taskAborted':
+                submission.status = message.type === 'taskCancelled' ? 'cancelled' : 'aborted';
+                break;
+            default:
+                return;
+        }
+        submission.finishedAt = new Date().toISOString();
+    }
+
+    view(submission) {
+        // 佇列中的任務開始執行後尚未回報任何案例時，也顯示為 running
+        const status = submission.status === 'queued' && this.agent.activeTasks.has(submission.id)
+            ? 'running'
+            : submission.status;
+        return { ...submission, status };
+    }
+
+    // 只保留最近 maxSubmissions 筆，優先移除已結束的提交
+    prune() {
+        for (const [id, submission] of this.submissions) {
+            if (this.submissions.size <= this.options.maxSubmissions) break;
+            if (submission.finishedAt) {
+                this.submissions.delete(id);
+            }
+        }
+    }
+
+    languages() {
+        return Object.entries(languageConfigs).map(([name, langConfig]) => ({
+            name,
+            available: !this.agent.unavailableLanguages.has(name),
+            image: langConfig.image,
+            modes: langConfig.harness ? ['function', 'stdio'] : ['stdio'],
+            compiled: Boolean(langConfig.compile),
+            notes: langConfig.notes || null,
+            limits: {
+                timeout: langConfig.timeout,
+                memoryLimit: langConfig.memoryLimit,
+                cpuLimit: langConfig.cpuLimit
+            }
+        }));
+    }
+}
+
+export default JudgeServer;
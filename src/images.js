@@ -0,0 +1,63 @@
+// images.js
+import { languageConfigs } from './config/config.js';
+
+// languageConfigs 中用到的所有映像 (含編譯用映像) 與使用它們的語言
+export function configuredImages() {
+    const images = new Map();
+    for (const [language, langConfig] of Object.entries(languageConfigs)) {
+        for (const image of [langConfig.image, langConfig.compile?.image]) {
+            if (!image) continue;
+            if (!images.has(image)) images.set(image, []);
+            images.get(image).push(language);
+        }
+    }
+    return images;
+}
+
+// 映像 ID (內容雜湊)，同一個 tag 重新拉取後即不同；無法讀取的映像不列出
+export async function imageDigests(docker) {
+    const digests = new Map();
+    for (const image of configuredImages().keys()) {
+        try {
+            digests.set(image, (await docker.getImage(image).inspect()).Id);
+        } catch (error) {
+            console.error(`[Images] Cannot inspect ${image}:`, error.message);
+        }
+    }
+    return digests;
+}
+
+async function pullImage(docker, image) {
+    console.log(`[Images] Pulling ${image}`);
+    const stream = await docker.pull(image);
+    await new Promise((resolve, reject) => {
+        docker.modem.followProgress(stream, error => error ? reject(error) : resolve());
+    });
+}
+
+// 確認映像存在，不存在則拉取；回傳無法使用的映像 (image -> error)
+export async function ensureImages(docker) {
+    const failed = new Map();
+
+    for (const image of configuredImages().keys()) {
+        try {
+            await docker.getImage(image).inspect();
+            console.log(`[Images] ${image} is present`);
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                failed.set(image, error);
+                continue;
+            }
+            try {
+                await pullImage(docker, image);
+                await docker.getImage(image).inspect();
+                console.log(`[Images] ${image} pulled`);
+            } catch (pullError) {
+                console.error(`[Images] Failed to pull ${image}:`, pullError.message);
+                failed.set(image, pullError);
+            }
+        }
+    }
+
+    return failed;
+}
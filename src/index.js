@@ -0,0 +1,11 @@
+// index.js
+// 以函式庫方式使用時不會啟動 agent，需自行呼叫 new Agent().start()
+export { default as Agent } from './agent.js';
+export { default as Runner, TaskCancelledError } from './runner.js';
+export { default as TaskQueue } from './taskQueue.js';
+export { default as JudgeServer } from './httpServer.js';
+export { default as config } from './config/config.js';
+export { loadConfig, ConfigError } from './config/loadConfig.js';
+export { createTransport, Transport, WebSocketTransport, RedisTransport } from './transports/index.js';
+export { PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, validateMessage, validateTask } from './protocol.js';
+export { ResultCache, createResultCache } from './cache/index.js';
@@ -0,0 +1,32 @@
+// limits.js
+import { limitConfig } from './config/config.js';
+
+const LIMIT_FIELDS = ['timeout', 'memoryLimit', 'cpuLimit', 'caseTimeLimit', 'outputLimit'];
+
+// 題目提供的限制 (task) 優先，否則使用語言預設值，並以 limitConfig 的上限截斷
+export function resolveLimits(task, langConfig) {
+    const limits = {
+        timeout: task.timeout ?? langConfig.timeout,
+        memoryLimit: task.memoryLimit ?? langConfig.memoryLimit,
+        cpuLimit: task.cpuLimit ?? langConfig.cpuLimit,
+        // 未指定單一案例時限時，與整體時限相同
+        caseTimeLimit: task.caseTimeLimit ?? task.timeout ?? langConfig.timeout,
+        outputLimit: task.outputLimit ?? langConfig.outputLimit ?? limitConfig.outputLimit
+    };
+
+    for (const field of LIMIT_FIELDS) {
+        const value = limits[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid ${field}: ${value}`);
+        }
+
+        const max = limitConfig.max[field];
+        if (max !== undefined && value > max) {
+            console.log(`[Limits] ${field} ${value} exceeds cap, clamped to ${max}`);
+            limits[field] = max;
+        }
+    }
+
+    limits.caseTimeLimit = Math.min(limits.caseTimeLimit, limits.timeout);
+    return limits;
+}
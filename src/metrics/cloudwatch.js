@@ -0,0 +1,111 @@
+// cloudwatch.js
+import { MetricsExporter } from './exporter.js';
+
+// PutMetricData 單次最多 1000 筆
+const MAX_DATUMS_PER_REQUEST = 1000;
+
+// AWS SDK 不在必要依賴中，start() 時才載入
+class CloudWatchExporter extends MetricsExporter {
+    constructor(options, context = {}) {
+        super();
+        this.region = options.region;
+        this.namespace = options.namespace;
+        this.instanceId = context.instanceId;
+        this.client = null;
+        this.sdk = null;
+        this.pending = [];
+        this.queueStatus = null;
+    }
+
+    async start() {
+        try {
+            this.sdk = await import('@aws-sdk/client-cloudwatch');
+        } catch (error) {
+            throw new Error(`CloudWatch metrics require @aws-sdk/client-cloudwatch (${error.message})`);
+        }
+        this.client = new this.sdk.CloudWatchClient({ region: this.region });
+    }
+
+    instanceDimension() {
+        return { Name: 'InstanceId', Value: this.instanceId };
+    }
+
+    async recordResources(stats) {
+        const cpuUtilization = (stats.used.cpu / stats.total.cpu) * 100;
+        const memoryUtilization = (stats.used.memory / stats.total.memory) * 100;
+
+        try {
+            await this.send([
+                {
+                    MetricName: 'CPUUtilization',
+                    Value: cpuUtilization,
+                    Unit: 'Percent',
+                    Dimensions: [this.instanceDimension()]
+                },
+                {
+                    MetricName: 'MemoryUtilization',
+                    Value: memoryUtilization,
+                    Unit: 'Percent',
+                    Dimensions: [this.instanceDimension()]
+                }
+            ]);
+            console.log("Metrics published - CPU: ", cpuUtilization.toFixed(2), "% Memory: ", memoryUtilization.toFixed(2), "%");
+        } catch (error) {
+            console.error("Error publishing metrics:", error);
+        }
+    }
+
+    recordTask({ language, verdict, executionTime }) {
+        this.pending.push(
+            {
+                MetricName: 'TaskCount',
+                Value: 1,
+                Unit: 'Count',
+                Dimensions: [{ Name: 'Language', Value: language }, { Name: 'Verdict', Value: verdict }]
+            },
+            {
+                MetricName: 'ExecutionTime',
+                Value: executionTime,
+                Unit: 'Milliseconds',
+                Dimensions: [{ Name: 'Language', Value: language }]
+            }
+        );
+    }
+
+    recordQueue(status) {
+        this.queueStatus = status;
+    }
+
+    async flush() {
+        const data = this.pending.splice(0);
+        if (this.queueStatus) {
+            data.push(
+                { MetricName: 'QueueDepth', Value: this.queueStatus.queued, Unit: 'Count', Dimensions: [this.instanceDimension()] },
+                { MetricName: 'RunningTasks', Value: this.queueStatus.running, Unit: 'Count', Dimensions: [this.instanceDimension()] }
+            );
+        }
+
+        try {
+            for (let i = 0; i < data.length; i += MAX_DATUMS_PER_REQUEST) {
+                await this.send(data.slice(i, i + MAX_DATUMS_PER_REQUEST));
+            }
+        } catch (error) {
+            console.error("Error publishing metrics:", error);
+        }
+    }
+
+    async send(metricData) {
+        if (!this.client || metricData.length === 0) return;
+        await this.client.send(new this.sdk.PutMetricDataCommand({
+            Namespace: this.namespace,
+            MetricData: metricData
+        }));
+    }
+
+    async close() {
+        await this.flush();
+        this.client?.destroy();
+    }
+}
+
+export default CloudWatchExporter;
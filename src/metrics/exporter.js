@@ -0,0 +1,37 @@
+// exporter.js
+
+// metrics 後端的共同介面；本身即為 no-op 後端
+//   stats:  { total: { cpu, memory }, used: { cpu, memory } } (memory 單位 MB)
+//   task:   { language, verdict, executionTime } (executionTime 單位 ms)
+//   status: TaskQueue.getStatus()
+export class MetricsExporter {
+    async start() {}
+
+    recordResources(stats) {}
+
+    recordTask(task) {}
+
+    recordQueue(status) {}
+
+    // 由 Agent 定期呼叫，送出累積的資料
+    async flush() {}
+
+    async close() {}
+}
+
+// 將 metrics 輸出到 log，方便本機開發
+export class LogExporter extends MetricsExporter {
+    recordResources(stats) {
+        const cpu = (stats.used.cpu / stats.total.cpu) * 100;
+        const memory = (stats.used.memory / stats.total.memory) * 100;
+        console.log(`[Metrics] CPU: ${cpu.toFixed(2)}% Memory: ${memory.toFixed(2)}%`);
+    }
+
+    recordTask({ language, verdict, executionTime }) {
+        console.log(`[Metrics] Task ${language} ${verdict} in ${executionTime}ms`);
+    }
+
+    recordQueue(status) {
+        console.log(`[Metrics] Queue: ${status.queued} queued, ${status.running}/${status.maxRunners} running`);
+    }
+}
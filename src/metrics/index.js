@@ -0,0 +1,44 @@
+// index.js
+import { MetricsExporter, LogExporter } from './exporter.js';
+import CloudWatchExporter from './cloudwatch.js';
+import PrometheusExporter from './prometheus.js';
+
+export { MetricsExporter, LogExporter };
+
+export const METRICS_BACKENDS = ['cloudwatch', 'prometheus', 'log', 'none'];
+
+// 依 metricsConfig.backend 建立並啟動 exporter
+// context.instanceId: 此 agent 的 id；context.health: 回傳 /health 內容的函式
+// CloudWatch SDK 未安裝時改用 log，避免本機或地端部署無法啟動
+export async function createMetrics(options, context = {}) {
+    let exporter;
+    switch (options.backend) {
+        case 'cloudwatch':
+            exporter = new CloudWatchExporter(options.cloudwatch, context);
+            break;
+        case 'prometheus':
+            exporter = new PrometheusExporter(options.prometheus, context);
+            break;
+        case 'log':
+            exporter = new LogExporter();
+            break;
+        case 'none':
+            exporter = new MetricsExporter();
+            break;
+        default:
+            throw new Error(`Unsupported metrics backend: ${options.backend}`);
+    }
+
+    try {
+        await exporter.start();
+    } catch (error) {
+        if (options.backend !== 'cloudwatch') {
+            throw error;
+        }
+        console.error(`[Metrics] ${error.message}; falling back to log backend`);
+        exporter = new LogExporter();
+    }
+
+    console.log(`[Metrics] Using ${exporter.constructor.name}`);
+    return exporter;
+}
@@ -0,0 +1,130 @@
+// prometheus.js
+import express from 'express';
+import { MetricsExporter } from './exporter.js';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// 以 /metrics (Prometheus text format) 與 /health 提供資料
+class PrometheusExporter extends MetricsExporter {
+    constructor(options, context = {}) {
+        super();
+        this.port = options.port;
+        this.host = options.host;
+        this.buckets = options.buckets;
+        this.health = context.health || (() => ({ status: 'ok' }));
+        this.server = null;
+
+        this.resources = null;
+        this.queueStatus = null;
+        this.taskCounts = new Map();   // labels JSON -> count
+        this.histograms = new Map();   // language -> { buckets, sum, count }
+    }
+
+    async start() {
+        const app = express();
+
+        app.get('/metrics', (req, res) => {
+            res.type('text/plain; version=0.0.4').send(this.render());
+        });
+
+        app.get('/health', (req, res) => {
+            const health = this.health();
+            res.status(health.status === 'ok' ? 200 : 503).json(health);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server = app.listen(this.port, this.host, resolve);
+            this.server.once('error', reject);
+        });
+        console.log(`[Metrics] Prometheus endpoint listening on ${this.host}:${this.port}`);
+    }
+
+    recordResources(stats) {
+        this.resources = stats;
+    }
+
+    recordTask({ language, verdict, executionTime }) {
+        const key = JSON.stringify({ language, verdict });
+        this.taskCounts.set(key, (this.taskCounts.get(key) || 0) + 1);
+
+        let histogram = this.histograms.get(language);
+        if (!histogram) {
+            histogram = { buckets: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.histograms.set(language, histogram);
+        }
+        const seconds = executionTime / 1000;
+        this.buckets.forEach((bound, i) => {
+            if (seconds <= bound) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    recordQueue(status) {
+        this.queueStatus = status;
+    }
+
+    render() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+            }
+        };
+
+        if (this.resources) {
+            metric('judge_host_cpus', 'gauge', 'CPUs available to the Docker host.',
+                [[{}, this.resources.total.cpu]]);
+            metric('judge_host_cpu_used', 'gauge', 'CPUs in use by containers.',
+                [[{}, this.resources.used.cpu]]);
+            metric('judge_host_memory_megabytes', 'gauge', 'Memory of the Docker host in MB.',
+                [[{}, this.resources.total.memory]]);
+            metric('judge_host_memory_used_megabytes', 'gauge', 'Memory in use by containers in MB.',
+                [[{}, this.resources.used.memory]]);
+        }
+
+        if (this.queueStatus) {
+            metric('judge_queue_depth', 'gauge', 'Tasks waiting in the queue.',
+                [[{}, this.queueStatus.queued]]);
+            metric('judge_tasks_running', 'gauge', 'Tasks currently running.',
+                [[{}, this.queueStatus.running]]);
+            metric('judge_reserved_runners', 'gauge', 'Runner slots used by extra test shards.',
+                [[{}, this.queueStatus.reserved ?? 0]]);
+            metric('judge_max_runners', 'gauge', 'Maximum concurrent tasks.',
+                [[{}, this.queueStatus.maxRunners]]);
+        }
+
+        metric('judge_tasks_total', 'counter', 'Finished tasks by language and verdict.',
+            [...this.taskCounts].map(([key, count]) => [JSON.parse(key), count]));
+
+        const histogramSamples = [];
+        for (const [language, histogram] of this.histograms) {
+            this.buckets.forEach((bound, i) => {
+                histogramSamples.push([{ language, le: bound }, histogram.buckets[i], '_bucket']);
+            });
+            histogramSamples.push([{ language, le: '+Inf' }, histogram.count, '_bucket']);
+            histogramSamples.push([{ language }, histogram.sum, '_sum']);
+            histogramSamples.push([{ language }, histogram.count, '_count']);
+        }
+        metric('judge_task_execution_seconds', 'histogram', 'Task execution time by language.', histogramSamples);
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    async close() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+}
+
+export default PrometheusExporter;
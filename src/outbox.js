@@ -0,0 +1,99 @@
+// outbox.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { connectionConfig } from './config/config.js';
+
+// 尚未被伺服器確認 (ack) 的結果訊息，寫入檔案以便斷線或重啟後重送
+// 伺服器一直未確認時，以 maxEntries / maxAge 丟棄最舊的訊息，避免檔案與重送量無限增長
+class Outbox {
+    constructor(file, options = connectionConfig.outbox) {
+        this.file = file;
+        this.options = options;
+        this.messages = new Map();  // messageId -> message (依加入順序)
+        this.writing = Promise.resolve();
+        this.persistTimer = null;
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            for (const message of data) {
+                this.messages.set(message.messageId, message);
+            }
+            console.log(`[Outbox] Loaded ${this.messages.size} unacknowledged message(s)`);
+            this.prune();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Outbox] Failed to load outbox, starting empty:', error.message);
+            }
+        }
+    }
+
+    // 為訊息加上 messageId 並保存，回傳加上 id 後的訊息
+    add(message) {
+        const entry = { ...message, messageId: message.messageId || uuidv4() };
+        this.messages.set(entry.messageId, entry);
+        this.prune();
+        this.persist();
+        return entry;
+    }
+
+    ack(messageId) {
+        if (this.messages.delete(messageId)) {
+            this.persist();
+            return true;
+        }
+        return false;
+    }
+
+    entries() {
+        this.prune();
+        return [...this.messages.values()];
+    }
+
+    get size() {
+        return this.messages.size;
+    }
+
+    // 丟棄過期 (timestamp 早於 maxAge) 與超過 maxEntries 的最舊訊息
+    prune() {
+        const expiresBefore = Date.now() - this.options.maxAge;
+        let dropped = 0;
+        for (const [messageId, message] of this.messages) {
+            if (this.messages.size <= this.options.maxEntries && !(message.timestamp < expiresBefore)) break;
+            this.messages.delete(messageId);
+            dropped++;
+        }
+        if (dropped > 0) {
+            console.warn(`[Outbox] Dropped ${dropped} unacknowledged message(s) (max ${this.options.maxEntries} entries, ${this.options.maxAge}ms)`);
+            this.persist();
+        }
+        return dropped;
+    }
+
+    // 合併 persistDelay 內的變更為一次寫入
+    persist() {
+        if (this.persistTimer) return;
+        this.persistTimer = setTimeout(() => this.flush(), this.options.persistDelay);
+    }
+
+    // 立即寫入；依序寫入，先寫暫存檔再 rename 避免寫到一半的檔案
+    flush() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        const data = JSON.stringify([...this.messages.values()]);
+        this.writing = this.writing
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(`${this.file}.tmp`, data);
+                await fs.rename(`${this.file}.tmp`, this.file);
+            })
+            .catch(error => {
+                console.error('[Outbox] Failed to persist outbox:', error.message);
+            });
+        return this.writing;
+    }
+}
+
+export default Outbox;
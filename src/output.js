@@ -0,0 +1,10 @@
+// output.js
+import { outputConfig } from './config/config.js';
+
+// 過長的輸出只保留開頭，並標示被截掉的長度
+export function truncateOutput(text, maxLength = outputConfig.truncateLength) {
+    if (typeof text !== 'string' || text.length <= maxLength) {
+        return text;
+    }
+    return `${text.slice(0, maxLength)}\n...[truncated ${text.length - maxLength} characters]`;
+}
@@ -0,0 +1,407 @@
+// protocol.js
+import { languageConfigs, stdioConfig } from './config/config.js';
+import { resolveComparator } from './comparators.js';
+import { resolveLimits } from './limits.js';
+import { normalizeSourcePath } from './sources.js';
+
+// 目前的協定版本；register 時送出支援的版本，伺服器以 registered 訊息回覆採用的版本
+export const PROTOCOL_VERSION = 1;
+
+// 欄位規格:
+//   type      - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any' 或其陣列
+//   required  - 必填 (null 視為未填)
+//   enum      - 允許的值
+//   positive  - 數值須大於 0
+//   items     - 陣列元素的規格
+//   nonEmpty  - 陣列至少需一個元素
+//   properties- 物件欄位的規格 (未列出的欄位允許存在，讓伺服器可先加入新欄位)
+// 信封欄位 (type、agentId、timestamp、nonce、signature、keyId、protocolVersion、messageId、replayed) 不列出
+const id = { type: ['string', 'integer'], required: true };
+// arguments: input 為參數列表；operations: input 為 { operations, arguments } (設計類別題)
+const TEST_FORMATS = ['arguments', 'operations'];
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const CLASS_NAME = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const positiveNumber = { type: 'number', positive: true };
+const usage = {
+    type: 'object',
+    properties: {
+        total: { type: 'number', required: true },
+        used: { type: 'number', required: true }
+    }
+};
+const resources = { type: 'object', properties: { cpu: usage, memory: usage } };
+// 提交容器本身的用量 (ResourceSampler)，取樣不到的值為 null
+const phaseUsage = {
+    type: 'object',
+    properties: {
+        wallTime: { type: 'number', required: true },
+        cpuTime: { type: 'number' },
+        peakMemory: { type: 'number' }
+    }
+};
+const submissionResources = { type: 'object', properties: { compile: phaseUsage, run: phaseUsage } };
+const queueStatus = {
+    type: 'object',
+    required: true,
+    properties: {
+        queued: { type: 'integer', required: true },
+        running: { type: 'integer', required: true },
+        maxRunners: { type: 'integer', required: true },
+        reserved: { type: 'integer' },
+        maxQueueSize: { type: 'integer', required: true }
+    }
+};
+const judgeResult = {
+    type: 'object',
+    required: true,
+    properties: {
+        verdict: { type: 'string', required: true },
+        total: { type: 'integer', required: true },
+        passed: { type: 'integer', required: true },
+        failed: { type: 'integer', required: true },
+        skipped: { type: 'integer' },
+        cases: { type: 'array', required: true, items: { type: 'object' } },
+        shards: { type: 'array', items: { type: 'object' } },
+        resources: submissionResources
+    }
+};
+
+const taskSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        id,
+        language: { type: 'string', required: true },
+        // code、files、archive 至少需提供一項，見 sources.js
+        code: { type: 'string' },
+        files: { type: 'object' },
+        archive: { type: 'string' },
+        entry: { type: 'string' },
+        mode: { type: 'string', enum: ['function', 'stdio'] },
+        // function 模式的呼叫方式，見 testTemplates.js 的 resolve_call
+        function: { type: 'string' },
+        className: { type: 'string' },
+        testFormat: { type: 'string', enum: TEST_FORMATS },
+        // false 時不使用快取的結果 (rejudge)
+        cache: { type: 'boolean' },
+        // 測試案例分組平行執行的組數 (上限見 config.shards)；任一案例未通過即停止其餘案例
+        shards: { type: 'integer', positive: true },
+        stopOnFirstFailure: { type: 'boolean' },
+        testCases: {
+            type: 'array',
+            required: true,
+            nonEmpty: true,
+            items: { type: 'object', properties: { input: { type: 'any' }, expected: { type: 'any' } } }
+        },
+        comparator: { type: ['string', 'object'] },
+        // stdio 模式的輸出比對容許度，欄位與 config.stdio 相同
+        outputMatch: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(stdioConfig).map(key => [key, { type: 'boolean' }]))
+        },
+        timeout: positiveNumber,
+        memoryLimit: positiveNumber,
+        cpuLimit: positiveNumber,
+        caseTimeLimit: positiveNumber,
+        outputLimit: positiveNumber
+    }
+};
+
+const schemas = {
+    1: {
+        inbound: {
+            // task 內容由 validateTask 檢查 (本機提交的任務也使用)
+            task: { task: { type: 'object', required: true } },
+            cancel: { taskId: id },
+            drain: {},
+            // 未指定 language 時清除所有快取的結果
+            invalidateCache: { language: { type: 'string' } },
+            ack: { messageId: { type: 'string', required: true } },
+            registered: { protocolVersion: { type: 'integer', required: true } }
+        },
+        outbound: {
+            register: {
+                protocol: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        version: { type: 'integer', required: true },
+                        supported: { type: 'array', required: true, items: { type: 'integer' } }
+                    }
+                },
+                // Docker 資訊取得失敗時為 null
+                resources: { type: 'object', properties: { cpu: { type: 'number' }, memory: { type: 'number' } } },
+                languages: { type: 'array', required: true, items: { type: 'string' } },
+                queue: queueStatus,
+                auth: { type: 'object' }
+            },
+            ping: {},
+            pong: {},
+            error: { error: { type: 'string', required: true } },
+            queueUpdate: { queue: queueStatus },
+            resourceUpdate: { metrics: { ...resources, required: true } },
+            draining: {
+                reason: { type: 'string', required: true },
+                deadline: { type: 'number', required: true },
+                activeTasks: { type: 'array', required: true }
+            },
+            taskProgress: {
+                taskId: id,
+                caseIndex: { type: 'integer', required: true },
+                total: { type: 'integer' },
+                verdict: { type: 'string' },
+                result: { type: 'object', required: true }
+            },
+            taskComplete: {
+                taskId: id,
+                verdict: { type: 'string', required: true },
+                result: judgeResult,
+                metrics: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        executionTime: { type: 'number' },
+                        resources: submissionResources,
+                        cached: { type: 'boolean' }
+                    }
+                }
+            },
+            taskError: {
+                taskId: id,
+                error: { type: 'string', required: true },
+                language: { type: 'string' },
+                partialResults: { type: 'array' },
+                resources: submissionResources
+            },
+            taskRejected: {
+                taskId: { type: ['string', 'integer'] },
+                reason: { type: 'string', required: true },
+                error: { type: 'string', required: true },
+                errors: { type: 'array', items: { type: 'string' } }
+            },
+            taskCancelled: { taskId: id, state: { type: 'string', enum: ['queued', 'running'], required: true } },
+            taskAborted: { taskId: id, reason: { type: 'string', required: true } },
+            cancelRejected: { taskId: id, reason: { type: 'string', required: true } },
+            cacheInvalidated: { language: { type: 'string' }, removed: { type: 'integer', required: true } },
+            authRejected: { messageType: { type: 'string' }, reason: { type: 'string', required: true } }
+        }
+    }
+};
+
+export const SUPPORTED_PROTOCOL_VERSIONS = Object.keys(schemas).map(Number);
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'any') return true;
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function check(value, spec, path, errors) {
+    if (value === undefined || value === null) {
+        if (spec.required) {
+            errors.push(`${path} is required`);
+        }
+        return;
+    }
+
+    const types = [].concat(spec.type || 'any');
+    if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+        return;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${spec.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (spec.positive && !(Number.isFinite(value) && value > 0)) {
+        errors.push(`${path} must be a positive number`);
+    }
+    if (spec.nonEmpty && Array.isArray(value) && value.length === 0) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (spec.items && Array.isArray(value)) {
+        value.forEach((item, i) => check(item, { ...spec.items, required: true }, `${path}[${i}]`, errors));
+    }
+    if (spec.properties && typeOf(value) === 'object') {
+        checkFields(value, spec.properties, path, errors);
+    }
+}
+
+function checkFields(object, properties, path, errors) {
+    for (const [key, spec] of Object.entries(properties)) {
+        check(object[key], spec, path ? `${path}.${key}` : key, errors);
+    }
+}
+
+// 回傳錯誤訊息陣列，空陣列表示通過
+// direction: 'inbound' (伺服器 -> agent) | 'outbound' (agent -> 伺服器)
+export function validateMessage(message, direction, version = PROTOCOL_VERSION) {
+    if (typeOf(message) !== 'object') {
+        return ['message must be a JSON object'];
+    }
+    if (typeof message.type !== 'string') {
+        return ['type is required'];
+    }
+
+    const fields = schemas[version]?.[direction]?.[message.type];
+    if (!fields) {
+        return [`unknown ${direction} message type '${message.type}' for protocol version ${version}`];
+    }
+
+    const errors = [];
+    checkFields(message, fields, '', errors);
+    return errors;
+}
+
+// 多檔案提交的路徑；zip 的內容於執行時才解壓檢查
+function checkSources(task, langConfig) {
+    const errors = [];
+    if (task.code === undefined && task.files === undefined && task.archive === undefined) {
+        errors.push('task.code, task.files or task.archive is required');
+    }
+    if (task.files !== undefined && task.archive !== undefined) {
+        errors.push('task.files and task.archive cannot be used together');
+    }
+    if (task.archive !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(task.archive)) {
+        errors.push('task.archive must be base64 encoded');
+    }
+
+    for (const [name, content] of Object.entries(task.files || {})) {
+        const field = `task.files[${JSON.stringify(name)}]`;
+        if (typeof content !== 'string') {
+            errors.push(`${field} must be string (got ${typeOf(content)})`);
+        }
+        let sourcePath;
+        try {
+            sourcePath = normalizeSourcePath(name);
+        } catch (error) {
+            errors.push(`${field}: ${error.message}`);
+            continue;
+        }
+        if (task.code !== undefined && sourcePath === langConfig.sourceFile) {
+            errors.push(`${field} conflicts with task.code, which is written to ${langConfig.sourceFile}`);
+        }
+    }
+
+    if (task.entry !== undefined) {
+        try {
+            normalizeSourcePath(task.entry);
+        } catch (error) {
+            errors.push(`task.entry: ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+// 呼叫的函式 / 類別只適用於 function 模式
+function checkEntry(task, mode) {
+    const errors = [];
+    if (mode !== 'function') {
+        for (const field of ['function', 'className', 'testFormat']) {
+            if (task[field] !== undefined) {
+                errors.push(`task.${field} only applies to function mode`);
+            }
+        }
+        return errors;
+    }
+
+    if (task.function !== undefined && !IDENTIFIER.test(task.function)) {
+        errors.push(`task.function ${JSON.stringify(task.function)} is not a valid identifier`);
+    }
+    if (task.className !== undefined && !CLASS_NAME.test(task.className)) {
+        errors.push(`task.className ${JSON.stringify(task.className)} is not a valid class name`);
+    }
+    if (task.testFormat === 'operations' && task.function !== undefined) {
+        errors.push('task.function cannot be used with the operations test format');
+    }
+    return errors;
+}
+
+// 拼錯的欄位會被忽略而改用預設值，直接拒絕
+function checkOutputMatch(task, mode) {
+    if (task.outputMatch === undefined || task.outputMatch === null) {
+        return [];
+    }
+    if (mode !== 'stdio') {
+        return ['task.outputMatch only applies to stdio mode'];
+    }
+    return Object.keys(task.outputMatch)
+        .filter(key => !Object.hasOwn(stdioConfig, key))
+        .map(key => `task.outputMatch.${key} is not a known option (known: ${Object.keys(stdioConfig).join(', ')})`);
+}
+
+// { operations: ['LRUCache', 'put', 'get'], arguments: [[2], [1, 1], [1]] }
+// 第一個操作為建立物件的類別名稱，expected 為每個操作的輸出 (建立物件為 null)
+function checkOperations(input, path) {
+    if (typeOf(input) !== 'object') {
+        return [`${path} must be an object with operations and arguments in the operations test format`];
+    }
+
+    const { operations, arguments: args } = input;
+    const errors = [];
+    if (!Array.isArray(operations) || operations.length === 0 || !operations.every(op => typeof op === 'string' && IDENTIFIER.test(op))) {
+        errors.push(`${path}.operations must be a non-empty array of method names`);
+    }
+    if (!Array.isArray(args) || !args.every(Array.isArray)) {
+        errors.push(`${path}.arguments must be an array of argument arrays`);
+    }
+    if (errors.length === 0 && operations.length !== args.length) {
+        errors.push(`${path}.operations has ${operations.length} entries but arguments has ${args.length}`);
+    }
+    return errors;
+}
+
+// 任務內容：結構之外，也檢查語言、模式、比對方式與資源限制，避免執行到一半才失敗
+export function validateTask(task) {
+    const errors = [];
+    check(task, taskSchema, 'task', errors);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const langConfig = languageConfigs[task.language];
+    if (!langConfig) {
+        return [`task.language '${task.language}' is not supported (supported: ${Object.keys(languageConfigs).join(', ')})`];
+    }
+
+    errors.push(...checkSources(task, langConfig));
+
+    const mode = task.mode || 'function';
+    if (mode === 'function' && !langConfig.harness) {
+        errors.push(`task.mode 'function' is not supported for ${task.language}; use 'stdio'`);
+    }
+
+    errors.push(...checkEntry(task, mode));
+    errors.push(...checkOutputMatch(task, mode));
+
+    const testFormat = task.testFormat || 'arguments';
+    task.testCases.forEach((testCase, i) => {
+        if (mode === 'function' && testFormat === 'operations') {
+            errors.push(...checkOperations(testCase.input, `task.testCases[${i}].input`));
+        } else if (mode === 'function' && !Array.isArray(testCase.input)) {
+            errors.push(`task.testCases[${i}].input must be an array of arguments in function mode`);
+        }
+        if (mode === 'stdio' && typeof (testCase.input ?? '') !== 'string') {
+            errors.push(`task.testCases[${i}].input must be a string in stdio mode`);
+        }
+    });
+
+    try {
+        resolveComparator(task.comparator);
+    } catch (error) {
+        errors.push(`task.comparator: ${error.message}`);
+    }
+
+    try {
+        resolveLimits(task, langConfig);
+    } catch (error) {
+        errors.push(`task limits: ${error.message}`);
+    }
+
+    return errors;
+}
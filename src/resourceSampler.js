@@ -0,0 +1,82 @@
+// resourceSampler.js
+import config from './config/config.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+// 定期讀取單一容器的 cgroup 統計 (docker stats one-shot)，記錄此容器本身的用量:
+//   wallTime   - start() 到 stop() 的時間 (ms)
+//   cpuTime    - 容器內所有程序累計的 CPU 時間 (ms)
+//   peakMemory - 取樣到的最大記憶體用量 (MB)，不含可回收的 page cache
+// 容器結束後讀不到統計，因此以最後一次成功的取樣為準；未取樣到時為 null
+export class ResourceSampler {
+    constructor(container, options = config.accounting) {
+        this.container = container;
+        this.options = options;
+        this.timer = null;
+        this.pending = null;
+        this.startTime = null;
+        this.cpuUsage = null;     // ns
+        this.memoryUsage = null;  // bytes
+        this.samples = 0;
+    }
+
+    start() {
+        this.startTime = performance.now();
+        if (!this.options.enabled) return this;
+
+        this.timer = setInterval(() => this.sample(), this.options.sampleInterval);
+        this.sample();
+        return this;
+    }
+
+    // 前一次取樣尚未完成時不重複送出請求
+    sample() {
+        if (!this.pending) {
+            this.pending = this.read().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async read() {
+        let stats;
+        try {
+            stats = await this.container.stats({ stream: false, 'one-shot': true });
+        } catch (error) {
+            return;  // 容器已結束或已移除
+        }
+
+        const cpu = stats?.cpu_stats?.cpu_usage?.total_usage;
+        if (cpu) {
+            this.cpuUsage = Math.max(this.cpuUsage ?? 0, cpu);
+        }
+
+        // 與 docker stats 相同，扣除 inactive file cache (cgroup v2 / v1)
+        const memory = stats?.memory_stats;
+        if (memory?.usage) {
+            const cache = memory.stats?.inactive_file ?? memory.stats?.total_inactive_file ?? 0;
+            this.memoryUsage = Math.max(this.memoryUsage ?? 0, memory.usage - cache);
+        }
+        this.samples++;
+    }
+
+    // 在移除容器前呼叫，最後再取樣一次
+    async stop() {
+        const wallTime = round(performance.now() - this.startTime);
+        clearInterval(this.timer);
+        if (this.options.enabled) {
+            await this.pending;
+            await this.sample();
+        }
+
+        return {
+            wallTime,
+            cpuTime: this.cpuUsage === null ? null : round(this.cpuUsage / 1e6),
+            peakMemory: this.memoryUsage === null ? null : round(this.memoryUsage / (1024 * 1024)),
+            samples: this.samples
+        };
+    }
+}
+
+export default ResourceSampler;
@@ -1,45 +1,226 @@
 // runner.js
 import Docker from 'dockerode';
+import { EventEmitter } from 'events';
 import { promises as fs } from 'fs';
 import path from 'path';
+import { PassThrough } from 'stream';
 import config from './config/config.js';
-import { testTemplates } from './testTemplates.js';
+import { renderHarness } from './testTemplates.js';
+import { resolveComparator, compareValues, compareOutput } from './comparators.js';
+import { resolveLimits } from './limits.js';
+import { IDLE_COMMAND, resolveSandbox, containerOptions, sandboxOwner } from './sandbox.js';
+import { PooledContainer } from './containerPool.js';
+import { ResourceSampler } from './resourceSampler.js';
+import { resolveSources, entryCommand, compileSources } from './sources.js';
+import { truncateOutput } from './output.js';
+import { Verdict, verdictNames, JudgeError, exitSignal, overallVerdict } from './verdicts.js';
 
-class Runner {
-    constructor() {
+// function: 呼叫 solution 並比對回傳值 (預設)
+// stdio: 以 stdin 餵入輸入，比對 stdout
+const TASK_MODES = ['function', 'stdio'];
+
+// execCase 在容器內量測執行時間，程式結束後以此標記輸出到 stderr 的最後一行 (開始與結束的 ns)
+const TIME_MARKER = '__judge_time__';
+const TIME_PATTERN = new RegExp(`\\n${TIME_MARKER} (\\d+) (\\d+)\\n$`);
+
+// 實際的分組數：task.shards 以 maxShards 截斷，且每組至少 minCasesPerShard 個案例
+export function shardCount(task, options = config.shards) {
+    const requested = Math.min(task.shards ?? 1, options.maxShards);
+    return Math.max(1, Math.min(requested, Math.floor(task.testCases.length / options.minCasesPerShard)));
+}
+
+// harness 未回報結果的案例視為失敗 (提交的程式可能自行輸出 final_result 後結束)
+function missingCase(id, testCase) {
+    return {
+        id,
+        status: 'error',
+        verdict: Verdict.RUNTIME_ERROR,
+        input: testCase.input,
+        expected: testCase.expected,
+        error: { type: verdictNames[Verdict.RUNTIME_ERROR], message: 'No result reported for this test case' }
+    };
+}
+
+// harness 讀取的測試案例檔：只含 input，提交的程式可讀取執行目錄，expected 不寫入
+function harnessCases(testCases) {
+    return JSON.stringify(testCases.map(({ input }) => ({ input })));
+}
+
+// 依序將 testCases 分成至多 count 組：{ index, offset (第一個案例的位置), testCases }
+function splitShards(testCases, count) {
+    const size = Math.max(1, Math.ceil(testCases.length / count));
+    const shards = [];
+    for (let offset = 0; offset < testCases.length || shards.length === 0; offset += size) {
+        shards.push({ index: shards.length, offset, testCases: testCases.slice(offset, offset + size) });
+    }
+    return shards;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// 非 TTY 容器的 log 以 8 bytes header 分隔 stdout / stderr
+function demuxLogs(buffer) {
+    let output = '';
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset + 4);
+        output += buffer.subarray(offset + 8, offset + 8 + size).toString();
+        offset += 8 + size;
+    }
+    return output;
+}
+
+// 任務被取消 (Runner.cancel)；Agent 以此回報 taskCancelled 而非 taskError
+export class TaskCancelledError extends Error {
+    constructor(message = 'Task cancelled') {
+        super(message);
+        this.name = 'TaskCancelledError';
+    }
+}
+
+// 事件:
+//   'testResult' (caseResult) - harness 每完成一個測試案例即觸發
+class Runner extends EventEmitter {
+    // options.pool: ContainerPool，有閒置容器時直接取用以省去建立、啟動容器的時間
+    constructor(options = {}) {
+        super();
         this.docker = new Docker();
+        this.pool = options.pool || null;
+
+        // 取得執行容器的延遲 (ms)：acquire = 建立或取出 pool 容器，start = 啟動
+        this.latency = { pooled: false, acquire: null, start: null };
+
+        // 提交容器本身的資源用量 (ResourceSampler)，編譯與執行分開計算
+        this.resources = { compile: null, run: null };
+
+        // 此任務使用的所有容器 (編譯、執行、checker)，取消時一併終止
+        this.containers = new Set();
+        this.cancelled = false;
+        // 分組執行中途停止 (stopShards)；只影響執行測試的階段
+        this.stopping = false;
+    }
+
+    // 終止所有容器；進行中的 run() 會以 TaskCancelledError 結束並清理執行目錄
+    async cancel() {
+        this.cancelled = true;
+        console.log(`[Runner] Cancelling, killing ${this.containers.size} container(s)`);
+        await Promise.all([...this.containers].map(container =>
+            container.remove({ force: true }).catch(() => {})
+        ));
     }
 
-    async run(task) {
-        const { language, code, testCases } = task;
-        console.log(`[Runner] Starting test execution for ${language}`);
+    // 終止所有執行中的分組；各組回報已完成的案例，任務本身繼續 (與 cancel 不同)
+    async stopShards(reason) {
+        if (this.stopping) return;
+        this.stopping = true;
+        console.log(`[Runner] Stopping all shards: ${reason}`);
+        await Promise.all([...this.containers].map(container =>
+            container.remove({ force: true }).catch(() => {})
+        ));
+    }
+
+    // 記錄容器以便取消；取消或停止分組後才建立的容器直接移除
+    async track(container) {
+        this.containers.add(container);
+        if (this.cancelled || this.stopping) {
+            await container.remove({ force: true }).catch(() => {});
+            throw this.cancelled ? new TaskCancelledError() : new Error('Shards stopped');
+        }
+        return container;
+    }
+
+    // 平行執行的分組：CPU 時間相加，wall time 與峰值記憶體 (各容器分別計算) 取最大值
+    addUsage(phase, usage) {
+        const current = this.resources[phase];
+        if (!current) {
+            this.resources[phase] = usage;
+            return;
+        }
+        const max = (a, b) => a === null ? b : b === null ? a : Math.max(a, b);
+        this.resources[phase] = {
+            wallTime: max(current.wallTime, usage.wallTime),
+            cpuTime: current.cpuTime === null && usage.cpuTime === null
+                ? null
+                : round((current.cpuTime ?? 0) + (usage.cpuTime ?? 0)),
+            peakMemory: max(current.peakMemory, usage.peakMemory),
+            samples: current.samples + usage.samples
+        };
+    }
+
+    // options.shards: 測試案例分組平行執行的組數 (Agent 依可用的執行名額決定)
+    async run(task, options = {}) {
+        const { language, testCases, mode = 'function' } = task;
+        console.log(`[Runner] Starting test execution for ${language} (${mode} mode)`);
         
         const langConfig = config.languages[language];
         if (!langConfig) {
             console.error(`[Runner] Unsupported language: ${language}`);
             throw new Error(`Unsupported language: ${language}`);
         }
+        if (!TASK_MODES.includes(mode)) {
+            throw new Error(`Unsupported task mode: ${mode}`);
+        }
+        if (mode === 'function' && !langConfig.harness) {
+            throw new Error(`Language ${language} only supports stdio mode`);
+        }
+        const comparator = resolveComparator(task.comparator);
+        const limits = resolveLimits(task, langConfig);
+        const sources = resolveSources(task, langConfig);
 
         let executionDir;
+        const pooled = this.pool?.claim(language) || null;
         try {
-            executionDir = await this.prepareFiles(language, code, testCases);
-
-            
-            const files = await fs.readdir(executionDir);
-            for (const file of files) {
-                const content = await fs.readFile(path.join(executionDir, file), 'utf8');
+            if (pooled) {
+                await this.track(pooled.container);
             }
+            executionDir = await this.prepareFiles(language, sources, testCases, mode, pooled?.executionDir, task);
 
-            if (language === 'java') {
-                await this.compileJava(executionDir, langConfig);
+            if (langConfig.compile) {
+                let compiled = compileSources(sources, langConfig);
+                let compileConfig = langConfig;
+                if (mode !== 'stdio') {
+                    const { harness } = langConfig;
+                    // harness 以 #include / include! 載入入口檔時，入口檔不另外編譯
+                    if (harness.includesEntry) {
+                        compiled = compiled.filter(file => file !== sources.entry);
+                    }
+                    compiled.push(harness.file);
+                    if (harness.compile) {
+                        compileConfig = { ...langConfig, compile: { ...langConfig.compile, ...harness.compile } };
+                    }
+                }
+                await this.compile(executionDir, compileConfig, compiled, 'compile');
             }
 
-            const container = await this.createContainer(language, executionDir);
+            let results = await this.runShards(task, executionDir, langConfig, sources, comparator, limits, pooled, options.shards ?? 1);
 
-            return await this.executeTests(container, langConfig.timeout);
+            if (comparator.type === 'special') {
+                results = await this.runSpecialJudge(task, results, comparator);
+            }
+
+            if (this.cancelled) {
+                throw new TaskCancelledError();
+            }
+            results.resources = this.resources;
+            return results;
         } catch (error) {
+            // 容器被取消時終止會造成各種錯誤，一律視為取消
+            if (this.cancelled) {
+                throw error instanceof TaskCancelledError ? error : new TaskCancelledError();
+            }
+            // 提交本身的失敗轉為判題結果，其餘 (Docker 錯誤等) 繼續拋出
+            if (error instanceof JudgeError) {
+                console.log(`[Runner] Verdict ${error.verdict}: ${error.message}`);
+                const result = this.failedResult(error, testCases.length);
+                result.resources = this.resources;
+                return result;
+            }
             throw error;
         } finally {
+            // pool 容器用完即丟棄 (編譯失敗等情況下尚未使用)
+            if (pooled) {
+                await pooled.container.remove({ force: true }).catch(() => {});
+            }
             if (executionDir) {
                 await fs.rm(executionDir, { recursive: true, force: true }).catch(err => {
                     console.error(`[Runner] Cleanup error:`, err);
@@ -47,23 +228,163 @@ class Runner {
             }
         }
     }
-    async compileJava(executionDir, langConfig) {
-        console.log('[Runner] Starting Java compilation');
-        
-        const container = await this.docker.createContainer({
-            Image: langConfig.image,  // 使用 amazoncorretto:21
-            WorkingDir: '/code',
-            Cmd: [...langConfig.compileCommand, 'Solution.java', 'TestRunner.java'],  // 使用配置的編譯命令
-            HostConfig: {
-                Binds: [`${executionDir}:/code`],
-                Memory: langConfig.memoryLimit * 1024 * 1024,
-                NanoCPUs: Math.floor(langConfig.cpuLimit * 1e9),
-                ...config.system.containerDefaults
+
+    // 測試案例依序分組，各組在獨立的容器中平行執行 (第一組使用 pool 容器)，結果依案例編號合併
+    // 每組各自套用 limits.timeout；任一組失敗 (TLE、MLE、RE 等) 時停止其餘各組
+    // task.stopOnFirstFailure：任一案例未通過即停止所有組，未執行的案例標記為 skipped
+    async runShards(task, executionDir, langConfig, sources, comparator, limits, pooled, count) {
+        const { testCases, mode = 'function' } = task;
+        const shards = splitShards(testCases, count);
+
+        if (shards.length > 1) {
+            console.log(`[Runner] Running ${testCases.length} cases in ${shards.length} shards`);
+            // 各組的 harness 讀取自己的測試案例檔 (stdio 模式直接使用 stdio/<id>.in)
+            if (mode !== 'stdio') {
+                await fs.mkdir(path.join(executionDir, 'shards'), { recursive: true });
+                for (const shard of shards) {
+                    shard.file = `shards/${shard.index + 1}.json`;
+                    await fs.writeFile(path.join(executionDir, shard.file), harnessCases(shard.testCases));
+                }
+            }
+        }
+
+        let failedCase = null;
+        const onResult = caseResult => {
+            if (!failedCase && caseResult.verdict !== Verdict.ACCEPTED) {
+                failedCase = caseResult;
+                this.stopShards(`case ${caseResult.id} failed`);
+            }
+        };
+        if (task.stopOnFirstFailure) {
+            this.on('testResult', onResult);
+        }
+
+        let settled;
+        try {
+            settled = await Promise.allSettled(shards.map(shard =>
+                this.runShard(task, shard, executionDir, langConfig, sources, comparator, limits, shard.index === 0 ? pooled : null)
+                    .catch(error => {
+                        if (shards.length > 1 && !this.cancelled) {
+                            this.stopShards(`shard ${shard.index + 1} failed: ${error.message}`);
+                        }
+                        throw error;
+                    })
+            ));
+        } finally {
+            this.off('testResult', onResult);
+            this.stopping = false;
+        }
+
+        const cases = settled
+            .flatMap(({ status, value, reason }) => status === 'fulfilled' ? value.cases : (reason.partialResults || []))
+            .sort((a, b) => a.id - b.id);
+        const failure = settled.find(({ status }) => status === 'rejected');
+        if (failure) {
+            failure.reason.partialResults = cases;
+            throw failure.reason;
+        }
+
+        // 因提前停止而未執行的案例標記為 skipped，其餘沒有結果的案例為失敗
+        const completed = new Set(cases.map(caseResult => caseResult.id));
+        testCases.forEach((testCase, i) => {
+            if (!completed.has(i + 1)) {
+                cases.push(failedCase
+                    ? { id: i + 1, status: 'skipped', input: testCase.input, expected: testCase.expected }
+                    : missingCase(i + 1, testCase));
             }
         });
+        cases.sort((a, b) => a.id - b.id);
+
+        // 各組平行執行，整體執行時間取最長的一組
+        const times = settled.map(({ value }) => value.execution_time).filter(time => typeof time === 'number');
+        const results = this.summarize(cases, times.length > 0 ? Math.max(...times) : null, testCases.length);
+        if (shards.length > 1) {
+            results.shards = shards.map(shard => shard.timing);
+        }
+        if (failedCase) {
+            results.stoppedAt = failedCase.id;
+        }
+        return results;
+    }
+
+    // 執行一組測試案例；因 stopShards 而中止時回傳已完成的案例
+    async runShard(task, shard, executionDir, langConfig, sources, comparator, limits, pooled) {
+        const startTime = performance.now();
+        let results;
+        try {
+            if (task.mode === 'stdio') {
+                const command = entryCommand(langConfig.runCommand, sources);
+                results = await this.runStdio(task, executionDir, command, comparator, limits, pooled, shard);
+            } else {
+                const command = shard.file ? [...langConfig.harness.command, shard.file] : null;
+                const container = await this.acquireContainer(task.language, executionDir, command, limits, pooled);
+                results = await this.executeTests(container, shard.testCases, limits, comparator, shard.offset);
+            }
+        } catch (error) {
+            if (this.cancelled || !this.stopping) {
+                throw error;
+            }
+            results = { cases: error.partialResults || [], execution_time: null };
+        }
+
+        shard.timing = {
+            index: shard.index,
+            firstCase: shard.offset + 1,
+            cases: shard.testCases.length,
+            completed: results.cases.length,
+            executionTime: results.execution_time,
+            wallTime: round(performance.now() - startTime),
+            stopped: results.cases.length < shard.testCases.length
+        };
+        return results;
+    }
+
+    // 需以 root 執行 agent 才能變更擁有者
+    async chownDirectories(dir, { uid, gid }) {
+        try {
+            await fs.chown(dir, uid, gid);
+            for (const entry of await fs.readdir(dir, { recursive: true, withFileTypes: true })) {
+                if (entry.isDirectory()) {
+                    await fs.chown(path.join(entry.parentPath ?? entry.path, entry.name), uid, gid);
+                }
+            }
+        } catch (error) {
+            if (error.code === 'EPERM') {
+                throw new Error(`Cannot hand ${dir} to the sandbox user ${uid}:${gid}; the agent must run as root`);
+            }
+            throw error;
+        }
+    }
+
+    // 依 langConfig.compile 在獨立的容器中編譯，失敗時回報 Compilation Error
+    // phase: 記錄資源用量的階段 (this.resources 的 key)；checker 的編譯不計入
+    async compile(executionDir, langConfig, sources, phase = null) {
+        const compileConfig = langConfig.compile;
+        const cmd = compileConfig.command.flatMap(arg => arg === '{{SOURCES}}' ? sources : [arg]);
+        console.log(`[Runner] Starting compilation: ${cmd.join(' ')}`);
+
+        // 編譯容器以非 root 使用者執行，需能寫入編譯產物 (Java 的 class 檔寫在原始檔旁)
+        // 目錄交給沙箱使用者而非開放給所有人，主機上的其他使用者無法修改
+        const sandbox = resolveSandbox(langConfig, 'compile');
+        await this.chownDirectories(executionDir, sandboxOwner(sandbox));
+
+        const container = await this.track(await this.docker.createContainer({
+            Image: compileConfig.image || langConfig.image,
+            WorkingDir: '/code',
+            Cmd: cmd,
+            Env: compileConfig.env || [],
+            ...containerOptions(executionDir, {
+                memoryLimit: compileConfig.memoryLimit || langConfig.memoryLimit,
+                cpuLimit: compileConfig.cpuLimit || langConfig.cpuLimit
+            }, sandbox)
+        }));
     
+        let sampler = null;
         try {
             await container.start();
+            if (phase) {
+                sampler = new ResourceSampler(container).start();
+            }
             const stream = await container.logs({
                 stdout: true,
                 stderr: true,
@@ -72,25 +393,42 @@ class Runner {
     
             return await new Promise((resolve, reject) => {
                 let output = '';
+
+                const timeoutId = setTimeout(() => {
+                    console.error('[Runner] Compilation timeout');
+                    reject(new JudgeError(Verdict.COMPILATION_ERROR, 'Compilation timed out', {
+                        compileOutput: truncateOutput(output)
+                    }));
+                }, compileConfig.timeout || 30000);
                 
                 stream.on('data', chunk => {
-                    output += chunk.toString();
+                    // 只需保留截斷長度的編譯訊息，避免大量錯誤訊息佔用記憶體
+                    if (output.length <= config.output.truncateLength) {
+                        output += chunk.toString().replace(/[\u0000-\u0008\u000B-\u000C\u000E-\u001F]/g, '');
+                    }
                 });
     
                 container.wait((err, data) => {
+                    clearTimeout(timeoutId);
+
                     if (err) {
-                        console.error('[Runner] Java compilation error:', err);
+                        console.error('[Runner] Compilation error:', err);
                         reject(err);
                     } else if (data.StatusCode !== 0) {
-                        console.error('[Runner] Java compilation failed:', output);
-                        reject(new Error(`Compilation failed: ${output}`));
+                        console.error('[Runner] Compilation failed:', truncateOutput(output, 500));
+                        reject(new JudgeError(Verdict.COMPILATION_ERROR, 'Compilation failed', {
+                            compileOutput: truncateOutput(output)
+                        }));
                     } else {
-                        console.log('[Runner] Java compilation successful');
+                        console.log('[Runner] Compilation successful');
                         resolve();
                     }
                 });
             });
         } finally {
+            if (sampler) {
+                this.resources[phase] = await sampler.stop();
+            }
             try {
                 await container.stop().catch(() => {});
                 await container.remove().catch(() => {});
@@ -100,101 +438,528 @@ class Runner {
         }
     }
 
-    async prepareFiles(language, code, testCases) {
+    // sources: resolveSources 的結果
+    // executionDir 可指定 (pool 容器已掛載的目錄)，否則建立新目錄
+    // entry: function 模式的呼叫方式 (task.function、task.className、task.testFormat)
+    async prepareFiles(language, sources, testCases, mode = 'function', executionDir = null, entry = {}) {
         const langConfig = config.languages[language];
-        const executionId = `${Date.now()}-${Math.random().toString(36).substring(7)}`;  // 加入隨機字串確保唯一性
-        const executionDir = path.resolve(process.cwd(), config.system.workDir, executionId);
+        if (!executionDir) {
+            const executionId = `${Date.now()}-${Math.random().toString(36).substring(7)}`;  // 加入隨機字串確保唯一性
+            executionDir = path.resolve(process.cwd(), config.system.workDir, executionId);
+        }
     
         console.log(`[Runner] Creating execution directory: ${executionDir}`);
         await fs.mkdir(executionDir, { recursive: true });
-    
-        if (language === 'python') {
-            const solutionPath = path.join(executionDir, 'solution.py');
-            const testPath = path.join(executionDir, 'test.py');
-            console.log(`[Runner] Writing Python files to ${executionDir}`);
-            
-            await fs.writeFile(solutionPath, code);
-            const testContent = testTemplates[language].replace(
-                '{{TEST_CASES}}',
-                JSON.stringify(testCases)
-            );
-            await fs.writeFile(testPath, testContent);
-    
-            // 確認檔案已寫入
-            const files = await fs.readdir(executionDir);
-            console.log(`[Runner] Created files in ${executionDir}:`, files);
-    
-        } else if (language === 'javascript') {
-            const solutionPath = path.join(executionDir, 'solution.js');
-            const testPath = path.join(executionDir, 'test.js');
-            console.log(`[Runner] Writing JavaScript files to ${executionDir}`);
-            
-            await fs.writeFile(solutionPath, code);
-            const testContent = testTemplates[language].replace(
-                '{{TEST_CASES}}',
-                JSON.stringify(testCases)
-            );
-            await fs.writeFile(testPath, testContent);
-    
-            // 確認檔案已寫入
-            const files = await fs.readdir(executionDir);
-            console.log(`[Runner] Created files in ${executionDir}:`, files);
-        } else if (language === 'java') {
-            const solutionPath = path.join(executionDir, 'Solution.java');
-            const testPath = path.join(executionDir, 'TestRunner.java');
-            console.log(`[Runner] Writing Java files to ${executionDir}`);
-            
-            await fs.writeFile(solutionPath, code);
-            const testContent = testTemplates[language].replace(
-                '{{TEST_CASES}}',
-                JSON.stringify(testCases)
-            );
-            await fs.writeFile(testPath, testContent);
-    
-            // 確認檔案已寫入
-            const files = await fs.readdir(executionDir);
-            console.log(`[Runner] Created files in ${executionDir}:`, files);
+
+        console.log(`[Runner] Writing ${sources.files.size} ${language} file(s) to ${executionDir} (entry ${sources.entry})`);
+        for (const [filePath, content] of sources.files) {
+            // resolveSources 已檢查路徑，寫入前再確認不會跳出執行目錄
+            const target = path.resolve(executionDir, filePath);
+            if (!target.startsWith(executionDir + path.sep)) {
+                throw new Error(`Refusing to write ${filePath} outside the execution directory`);
+            }
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, content);
+        }
+
+        if (mode === 'stdio') {
+            await this.writeStdioInputs(executionDir, testCases);
+        } else {
+            const { harness } = langConfig;
+            const harnessEntry = {
+                entry: sources.entry,
+                mainClass: sources.mainClass,
+                function: entry.function || 'solution',
+                className: entry.className || null,
+                testFormat: entry.testFormat || 'arguments'
+            };
+            await fs.writeFile(path.join(executionDir, harness.file), renderHarness(harness.template, harnessEntry, testCases));
+            // 測試資料與入口以獨立的 JSON 檔提供給 harness，不嵌入原始碼
+            await fs.writeFile(path.join(executionDir, 'testcases.json'), harnessCases(testCases));
+            await fs.writeFile(path.join(executionDir, 'harness.json'), JSON.stringify(harnessEntry));
         }
+
+        // 確認檔案已寫入
+        const files = await fs.readdir(executionDir, { recursive: true });
+        console.log(`[Runner] Created files in ${executionDir}:`, files);
     
         return executionDir;
     }
 
-    async createContainer(language, executionDir) {
+    // 每個測試案例的輸入寫成 stdio/<id>.in，執行時導向程式的 stdin
+    async writeStdioInputs(executionDir, testCases) {
+        const inputDir = path.join(executionDir, 'stdio');
+        await fs.mkdir(inputDir, { recursive: true });
+
+        for (let i = 0; i < testCases.length; i++) {
+            await fs.writeFile(path.join(inputDir, `${i + 1}.in`), String(testCases[i].input ?? ''));
+        }
+    }
+
+    async createContainer(language, executionDir, cmd = null, limits = null) {
         const langConfig = config.languages[language];
+        limits = limits || resolveLimits({}, langConfig);
 
-        const cmd = language === 'java' 
-        ? [...langConfig.runCommand, 'TestRunner']  // Java 執行編譯後的 class 檔案
-        : [...langConfig.runCommand, `test${langConfig.fileExtension}`];
-        
-        console.log(`[Runner] Container configuration:`, {
+        cmd = cmd || langConfig.harness.command;
+
+        const options = {
             Image: langConfig.image,
             WorkingDir: '/code',
             Cmd: cmd,
-            HostConfig: {
-                Binds: [`${executionDir}:/code`],
-                Memory: langConfig.memoryLimit * 1024 * 1024,
-                NanoCPUs: Math.floor(langConfig.cpuLimit * 1e9)
-            }
-        });
+            ...containerOptions(executionDir, limits, resolveSandbox(langConfig))
+        };
+        console.log(`[Runner] Container configuration:`, options);
+
+        const container = await this.docker.createContainer(options);
+
+        return this.track(container);
+    }
+
+    // 優先使用 pool 中已啟動的容器 (套用此任務的限制)，否則建立新容器
+    async acquireContainer(language, executionDir, cmd, limits, pooled) {
+        const startTime = performance.now();
+        let container;
+
+        if (pooled) {
+            const memory = limits.memoryLimit * 1024 * 1024;
+            await pooled.container.update({
+                Memory: memory,
+                MemorySwap: memory * 2,
+                NanoCPUs: Math.floor(limits.cpuLimit * 1e9)
+            });
+            const execCmd = cmd === IDLE_COMMAND ? null : (cmd || config.languages[language].harness.command);
+            container = new PooledContainer(pooled.container, execCmd);
+        } else {
+            container = await this.createContainer(language, executionDir, cmd, limits);
+        }
+
+        this.latency.pooled = Boolean(pooled);
+        this.latency.acquire = Math.round((performance.now() - startTime) * 100) / 100;
+        console.log(`[Runner] Container acquired (${pooled ? 'pooled' : 'cold'}) in ${this.latency.acquire}ms`);
+        return container;
+    }
+
+    // 啟動容器並記錄啟動延遲
+    async startContainer(container) {
+        const startTime = performance.now();
+        await container.start();
+        this.latency.start = Math.round((performance.now() - startTime) * 100) / 100;
+    }
+
+    // 以實際的安全設定啟動探測容器，確認非 root、檔案系統唯讀、capabilities 已移除
+    async verifySandbox(language = config.sandbox.probeLanguage) {
+        const langConfig = config.languages[language];
+        const sandbox = resolveSandbox(langConfig);
+        const probeDir = path.resolve(process.cwd(), config.system.workDir, `probe-${Date.now()}`);
+        await fs.mkdir(probeDir, { recursive: true });
 
         const container = await this.docker.createContainer({
             Image: langConfig.image,
             WorkingDir: '/code',
-            Cmd: cmd,
-            HostConfig: {
-                Binds: [`${executionDir}:/code`],
-                Memory: langConfig.memoryLimit * 1024 * 1024,
-                NanoCPUs: Math.floor(langConfig.cpuLimit * 1e9),
-                ...config.system.containerDefaults
+            Cmd: ['sh', '-c', [
+                'id -u',
+                'touch /probe 2>/dev/null && echo rootfs=rw || echo rootfs=ro',
+                'touch /code/probe 2>/dev/null && echo code=rw || echo code=ro',
+                'grep CapEff /proc/self/status'
+            ].join('; ')],
+            ...containerOptions(probeDir, resolveLimits({}, langConfig), sandbox)
+        });
+
+        try {
+            await container.start();
+            await container.wait();
+            const output = demuxLogs(await container.logs({ stdout: true, stderr: true }));
+            const info = await container.inspect();
+
+            const problems = [];
+            const uid = output.match(/^\s*(\d+)\s*$/m)?.[1];
+            if (uid === undefined || uid === '0') {
+                problems.push(`container runs as uid ${uid}`);
+            }
+            if (sandbox.readonlyRootfs && !output.includes('rootfs=ro')) {
+                problems.push('root filesystem is writable');
             }
+            if (sandbox.readonlyCode && !output.includes('code=ro')) {
+                problems.push('/code is writable');
+            }
+            const capEff = output.match(/CapEff:\s*([0-9a-f]+)/)?.[1];
+            if (sandbox.capDrop?.includes('ALL') && (!capEff || /[1-9a-f]/.test(capEff))) {
+                problems.push(`capabilities not dropped (CapEff ${capEff})`);
+            }
+            if (sandbox.pidsLimit && info.HostConfig.PidsLimit !== sandbox.pidsLimit) {
+                problems.push('pids limit not applied');
+            }
+
+            if (problems.length > 0) {
+                throw new Error(`Sandbox profile not in effect: ${problems.join('; ')}`);
+            }
+            console.log('[Runner] Sandbox profile verified');
+        } finally {
+            await container.remove({ force: true }).catch(() => {});
+            await fs.rm(probeDir, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+
+    // 依比較器判定單一測試案例；special judge 的案例留待 checker 判定
+    judgeCase(caseResult, comparator, isEqual) {
+        if (caseResult.verdict) {
+            return caseResult;
+        }
+
+        if (caseResult.status === 'memory_limit') {
+            // harness 捕捉到的記憶體配置失敗 (MemoryError、OutOfMemoryError、std::bad_alloc)
+            caseResult.status = 'error';
+            caseResult.verdict = Verdict.MEMORY_LIMIT_EXCEEDED;
+        } else if (caseResult.status === 'error') {
+            // harness 捕捉到的例外
+            caseResult.verdict = Verdict.RUNTIME_ERROR;
+        } else if (comparator.type === 'special') {
+            caseResult.status = 'pending';
+        } else if (isEqual()) {
+            caseResult.status = 'passed';
+            caseResult.verdict = Verdict.ACCEPTED;
+        } else {
+            caseResult.status = 'failed';
+            caseResult.verdict = Verdict.WRONG_ANSWER;
+            caseResult.reason = verdictNames[Verdict.WRONG_ANSWER];
+        }
+        return caseResult;
+    }
+
+    // 非零結束碼：被 OOM killer 終止為 MLE，其餘 (包括程式自行 kill -9) 為 RE
+    // oomKilled: 容器執行依容器的 State.OOMKilled，exec 執行依 cgroup 的 oom_kill 次數 (oomKillCount)
+    classifyExit(exitCode, oomKilled) {
+        const signal = exitSignal(exitCode);
+        const verdict = oomKilled ? Verdict.MEMORY_LIMIT_EXCEEDED : Verdict.RUNTIME_ERROR;
+        return { verdict, signal };
+    }
+
+    // 容器 cgroup 的 OOM kill 次數 (cgroup v2 的 memory.events，v1 的 memory.oom_control)，無法讀取時為 null
+    // exec 的程序被 OOM killer 終止時容器本身仍在執行，State.OOMKilled 不會設定
+    async oomKillCount(container) {
+        const execution = await this.execCase(
+            container,
+            ['sh', '-c', 'cat /sys/fs/cgroup/memory.events /sys/fs/cgroup/memory/memory.oom_control 2>/dev/null'],
+            '/dev/null',
+            1000
+        ).catch(() => null);
+        const match = execution?.stdout.match(/^oom_kill (\d+)$/m);
+        return match ? Number(match[1]) : null;
+    }
+
+    // total: 任務的測試案例數 (不依賴 harness 回報的結果數量)
+    summarize(cases, executionTime, total) {
+        const passed = cases.filter(caseResult => caseResult.verdict === Verdict.ACCEPTED).length;
+        const skipped = cases.filter(caseResult => caseResult.status === 'skipped').length;
+        return {
+            success: total > 0 && passed === total,
+            verdict: cases.length < total ? Verdict.RUNTIME_ERROR : overallVerdict(cases),
+            total,
+            passed,
+            failed: total - passed - skipped,
+            skipped,
+            cases,
+            execution_time: executionTime
+        };
+    }
+
+    // 整體執行失敗 (CE、TLE、MLE、RE) 時的結果，保留已完成的案例
+    failedResult(error, total) {
+        const cases = error.partialResults || [];
+        const passed = cases.filter(caseResult => caseResult.verdict === Verdict.ACCEPTED).length;
+        const result = {
+            success: false,
+            verdict: error.verdict,
+            total,
+            passed,
+            failed: total - passed,
+            cases,
+            execution_time: null,
+            error: {
+                message: error.message,
+                exitCode: error.exitCode ?? null,
+                signal: error.signal ?? null
+            }
+        };
+        if (error.compileOutput !== undefined) {
+            result.compileOutput = error.compileOutput;
+        }
+        return result;
+    }
+
+    // command: 已替換入口的 runCommand
+    // shard: 只執行其中的案例，案例編號與輸入檔依 offset 對應到完整的 testCases
+    async runStdio(task, executionDir, command, comparator, limits, pooled = null, shard = { offset: 0, testCases: task.testCases }) {
+        const { language, outputMatch } = task;
+        const { offset, testCases } = shard;
+        const container = await this.acquireContainer(language, executionDir, IDLE_COMMAND, limits, pooled);
+
+        const cases = [];
+        const totalStart = performance.now();
+        let sampler = null;
+
+        try {
+            await this.startContainer(container);
+            sampler = new ResourceSampler(container).start();
+            // pool 的容器可能已有先前的 OOM 紀錄，以開始時的次數為基準
+            let oomKills = await this.oomKillCount(container);
+
+            for (let i = 0; i < testCases.length; i++) {
+                // 分組已停止 (其他案例未通過)，回報已完成的案例
+                if (this.stopping) break;
+
+                const testCase = testCases[i];
+                const id = offset + i + 1;
+                const caseResult = {
+                    id,
+                    status: 'failed',
+                    input: testCase.input,
+                    expected: testCase.expected
+                };
+
+                // 整體時限用盡後不再執行剩餘案例
+                const remaining = limits.timeout - (performance.now() - totalStart);
+                if (remaining <= 0) {
+                    throw new JudgeError(Verdict.TIME_LIMIT_EXCEEDED, 'Execution timeout');
+                }
+
+                const execution = await this.execCase(
+                    container,
+                    command,
+                    `/code/stdio/${id}.in`,
+                    Math.min(limits.caseTimeLimit, remaining),
+                    limits.outputLimit
+                );
+                if (execution.outputExceeded) {
+                    throw new JudgeError(Verdict.OUTPUT_LIMIT_EXCEEDED, `Output exceeded ${limits.outputLimit} bytes`);
+                }
+
+                caseResult.actual = execution.stdout;
+                caseResult.time = execution.time;
+                caseResult.error = null;
+
+                if (execution.timedOut) {
+                    caseResult.verdict = Verdict.TIME_LIMIT_EXCEEDED;
+                    caseResult.reason = verdictNames[Verdict.TIME_LIMIT_EXCEEDED];
+                } else if (execution.exitCode !== 0) {
+                    const count = await this.oomKillCount(container);
+                    const { verdict, signal } = this.classifyExit(execution.exitCode, oomKills !== null && count > oomKills);
+                    oomKills = count;
+                    caseResult.status = 'error';
+                    caseResult.verdict = verdict;
+                    caseResult.error = {
+                        type: verdictNames[verdict],
+                        message: `Program exited with code ${execution.exitCode}`,
+                        exitCode: execution.exitCode,
+                        signal,
+                        stderr: truncateOutput(execution.stderr)
+                    };
+                } else {
+                    this.judgeCase(caseResult, comparator, () =>
+                        compareOutput(execution.stdout, testCase.expected, comparator, outputMatch)
+                    );
+                }
+
+                // 比對完成後才截斷，避免影響判定 (special judge 另存完整輸出)
+                if (caseResult.status !== 'pending') {
+                    caseResult.actual = truncateOutput(caseResult.actual);
+                }
+
+                cases.push(caseResult);
+                if (caseResult.status !== 'pending') {
+                    this.emit('testResult', caseResult);
+                }
+            }
+        } catch (error) {
+            console.error('[Runner] Execution error:', error);
+            error.partialResults = cases;
+            throw error;
+        } finally {
+            if (sampler) {
+                this.addUsage('run', await sampler.stop());
+            }
+            // idle 指令不處理 SIGTERM，直接強制移除以免 stop 等待逾時
+            await container.remove({ force: true }).catch(e => {
+                console.log('[Runner] Cleanup error:', e);
+            });
+        }
+
+        return this.summarize(cases, Math.round((performance.now() - totalStart) * 100) / 100, testCases.length);
+    }
+
+    // 以題目提供的 checker 在獨立的容器中判定 pending 的案例
+    // checker 以 stdio 方式執行：argv 為 input、expected、actual 檔案，exit 0 = 通過，exit 1 = 答案錯誤
+    async runSpecialJudge(task, results, comparator) {
+        const { language, code } = comparator.checker;
+        const langConfig = config.languages[language];
+        if (!langConfig) {
+            throw new Error(`Unsupported checker language: ${language}`);
+        }
+
+        const pending = results.cases.filter(caseResult => caseResult.status === 'pending');
+        if (pending.length === 0) {
+            return results;
+        }
+
+        const serialize = value => task.mode === 'stdio' ? String(value ?? '') : JSON.stringify(value ?? null);
+
+        const sources = resolveSources({ code }, langConfig);
+
+        let checkerDir;
+        try {
+            checkerDir = await this.prepareFiles(language, sources, [], 'stdio');
+            for (const caseResult of pending) {
+                const caseDir = path.join(checkerDir, 'judge', String(caseResult.id));
+                await fs.mkdir(caseDir, { recursive: true });
+                await fs.writeFile(path.join(caseDir, 'input'), serialize(caseResult.input));
+                await fs.writeFile(path.join(caseDir, 'expected'), serialize(caseResult.expected));
+                await fs.writeFile(path.join(caseDir, 'actual'), serialize(caseResult.actual));
+            }
+
+            if (langConfig.compile) {
+                // checker 編譯失敗是題目設定的問題，不是提交的 CE
+                try {
+                    await this.compile(checkerDir, langConfig, compileSources(sources, langConfig));
+                } catch (error) {
+                    const output = error.compileOutput ? `:\n${error.compileOutput}` : '';
+                    throw new Error(`Checker compilation failed: ${error.message}${output}`);
+                }
+            }
+
+            console.log(`[Runner] Running ${language} checker for ${pending.length} cases`);
+            const container = await this.createContainer(language, checkerDir, IDLE_COMMAND);
+            try {
+                await container.start();
+
+                for (const caseResult of pending) {
+                    const files = ['input', 'expected', 'actual'].map(name => `judge/${caseResult.id}/${name}`);
+                    const execution = await this.execCase(
+                        container,
+                        [...entryCommand(langConfig.runCommand, sources), ...files],
+                        '/dev/null',
+                        langConfig.timeout,
+                        config.limits.outputLimit
+                    );
+                    const message = truncateOutput((execution.stdout || execution.stderr).trim());
+                    caseResult.actual = truncateOutput(caseResult.actual);
+
+                    // checker 本身失敗屬於題目設定問題，以 taskError 回報
+                    if (execution.timedOut) {
+                        throw new Error(`Checker timed out on case ${caseResult.id}`);
+                    }
+                    if (execution.exitCode !== 0 && execution.exitCode !== 1) {
+                        throw new Error(`Checker exited with code ${execution.exitCode} on case ${caseResult.id}: ${truncateOutput(execution.stderr)}`);
+                    }
+
+                    caseResult.checkerMessage = message;
+                    if (execution.exitCode === 0) {
+                        caseResult.status = 'passed';
+                        caseResult.verdict = Verdict.ACCEPTED;
+                    } else {
+                        caseResult.status = 'failed';
+                        caseResult.verdict = Verdict.WRONG_ANSWER;
+                        caseResult.reason = verdictNames[Verdict.WRONG_ANSWER];
+                    }
+
+                    this.emit('testResult', caseResult);
+                }
+            } finally {
+                await container.remove({ force: true }).catch(() => {});
+            }
+        } finally {
+            if (checkerDir) {
+                await fs.rm(checkerDir, { recursive: true, force: true }).catch(err => {
+                    console.error(`[Runner] Cleanup error:`, err);
+                });
+            }
+        }
+
+        return this.summarize(results.cases, results.execution_time, results.total);
+    }
+
+    // 在執行中的容器內以 exec 執行一次程式，stdin 導向 inputPath
+    // 執行時間在容器內量測 (不含 docker exec 與 sh 啟動的時間)，無法取得時改用主機端的時間
+    // 輸出超過 outputLimit 時終止容器 (無法單獨終止 exec 的程序)，並回報 outputExceeded
+    async execCase(container, command, inputPath, timeLimit, outputLimit = Infinity) {
+        // 容器內以 timeout 在時限到達時強制終止；主機端另設寬限，避免 exec 卡住
+        const seconds = (timeLimit / 1000).toFixed(3);
+        // sh 本身的訊息 (如被 SIGKILL 終止時的 Killed) 導向 /dev/null，程式的 stderr 經由 fd 3 保留
+        const script = `exec 3>&2 2>/dev/null; s=$(date +%s%N); ` +
+            `(exec timeout -s KILL ${seconds} "$@" < ${inputPath} 2>&3 3>&-); c=$?; ` +
+            `printf '\\n${TIME_MARKER} %s %s\\n' "$s" "$(date +%s%N)" >&3; exit $c`;
+        const exec = await container.exec({
+            Cmd: ['sh', '-c', script, 'sh', ...command],
+            WorkingDir: '/code',
+            AttachStdout: true,
+            AttachStderr: true
         });
 
-        return container;
+        let stdout = '';
+        let stderr = '';
+        let outputBytes = 0;
+        let outputExceeded = false;
+        const capture = append => chunk => {
+            if (outputExceeded) return;
+            outputBytes += chunk.length;
+            if (outputBytes > outputLimit) {
+                outputExceeded = true;
+                console.log('[Runner] Output limit exceeded');
+                container.kill().catch(() => {});
+                return;
+            }
+            append(chunk.toString());
+        };
+        const stdoutStream = new PassThrough();
+        const stderrStream = new PassThrough();
+        stdoutStream.on('data', capture(text => { stdout += text; }));
+        stderrStream.on('data', capture(text => { stderr += text; }));
+
+        const startTime = performance.now();
+        const stream = await exec.start({ hijack: true, stdin: false });
+        this.docker.modem.demuxStream(stream, stdoutStream, stderrStream);
+
+        await new Promise((resolve, reject) => {
+            const guardId = setTimeout(() => {
+                console.log('[Runner] Execution timeout');
+                reject(new JudgeError(Verdict.TIME_LIMIT_EXCEEDED, 'Execution timeout'));
+            }, timeLimit + 2000);
+
+            stream.on('end', () => {
+                clearTimeout(guardId);
+                resolve();
+            });
+            stream.on('error', error => {
+                clearTimeout(guardId);
+                reject(error);
+            });
+        });
+
+        let time = Math.round((performance.now() - startTime) * 100) / 100;
+        const marker = stderr.match(TIME_PATTERN);
+        if (marker) {
+            stderr = stderr.slice(0, marker.index);
+            time = Math.round(Number(BigInt(marker[2]) - BigInt(marker[1])) / 1e4) / 100;
+        }
+        const { ExitCode } = await exec.inspect();
+
+        return {
+            stdout,
+            stderr,
+            exitCode: ExitCode,
+            time,
+            // timeout 在時限到達時終止程式，其餘的 SIGKILL (OOM 等) 不會用滿時限
+            timedOut: !outputExceeded && (time >= timeLimit || ExitCode === 124),
+            outputExceeded
+        };
     }
 
-    async executeTests(container, timeout) {
+    // testCases: 此容器執行的案例 (harness 不回傳 input / expected，依案例編號補上)
+    // offset: 分組執行時第一個案例的位置，harness 回報的案例編號加上 offset
+    async executeTests(container, testCases, limits, comparator = { type: 'exact' }, offset = 0) {
+        let sampler = null;
         try {
-            await container.start();
+            await this.startContainer(container);
+            sampler = new ResourceSampler(container).start();
             
             const stream = await container.logs({
                 stdout: true,
@@ -204,16 +969,42 @@ class Runner {
 
             const results = await new Promise((resolve, reject) => {
                 let finalResults = null;
+                // 已完成的測試案例，逾時或錯誤時仍可回報部分結果
+                const partialCases = [];
+                const reported = new Set();  // 已收到結果的案例編號 (harness 的編號，不含 offset)
+                const fail = error => {
+                    error.partialResults = partialCases;
+                    reject(error);
+                };
 
                 let buffer = '';
+                let outputBytes = 0;
+                let outputExceeded = false;
+                let parseErrors = 0;
                 const timeoutId = setTimeout(() => {
                     if (!finalResults) {
                         console.log('[Runner] Execution timeout');
-                        reject(new Error('Execution timeout'));
+                        fail(new JudgeError(Verdict.TIME_LIMIT_EXCEEDED, 'Execution timeout'));
+                    }
+                }, limits.timeout);
+
+                // outputLimit 只計算提交本身的輸出：harness 協定行只計 actual，其餘 (程式自行 print 的內容) 全部計入
+                const countOutput = bytes => {
+                    outputBytes += bytes;
+                    if (outputExceeded || outputBytes <= limits.outputLimit) return;
+                    outputExceeded = true;
+                    if (!finalResults) {
+                        console.log('[Runner] Output limit exceeded');
+                        clearTimeout(timeoutId);
+                        container.kill().catch(() => {});
+                        fail(new JudgeError(Verdict.OUTPUT_LIMIT_EXCEEDED, `Output exceeded ${limits.outputLimit} bytes`));
                     }
-                }, timeout);
+                };
 
                 stream.on('data', chunk => {
+                    // 輸出超過上限時終止容器，不再累積
+                    if (outputExceeded) return;
+
                     // 處理 Docker 輸出中的特殊字元
                     const data = chunk.toString().replace(/[\u0000-\u0008\u000B-\u000C\u000E-\u001F]/g, '');
                     
@@ -222,29 +1013,77 @@ class Runner {
                     buffer = lines.pop() || '';
 
                     for (const line of lines) {
+                        if (outputExceeded) return;
                         const trimmedLine = line.trim();
                         if (!trimmedLine) continue;
                         
                         try {
-                            // 移除任何非 JSON 的前綴字符
-                            const jsonStr = trimmedLine.replace(/^[^{]*/, '');
-                            const result = JSON.parse(jsonStr);
+                            // 移除任何非 JSON 的前綴字符 (提交程式未換行的輸出)
+                            const prefix = trimmedLine.match(/^[^{]*/)[0];
+                            const result = JSON.parse(trimmedLine.slice(prefix.length));
                             
-                            if (result.type === 'final_result') {
-                                console.log('[Runner] Final results received');
-                                finalResults = {
-                                    success: result.data.failed === 0,
-                                    total: result.data.total,
-                                    passed: result.data.passed,
-                                    failed: result.data.failed,
-                                    cases: result.data.cases,
-                                    execution_time: result.data.execution_time
+                            // 編號不在 1..n、重複或在 final_result 之後的結果不是 harness 輸出的，視為一般輸出
+                            const id = result.data?.id;
+                            if (result.type === 'test_result' && !finalResults && Number.isInteger(id) &&
+                                id >= 1 && id <= testCases.length && !reported.has(id)) {
+                                reported.add(id);
+                                countOutput(Buffer.byteLength(prefix) + Buffer.byteLength(JSON.stringify(result.data.actual ?? null)));
+                                const testCase = testCases[id - 1];
+                                result.data = {
+                                    ...result.data,
+                                    id: id + offset,
+                                    input: testCase?.input,
+                                    expected: testCase?.expected
                                 };
+                                if (result.data.error) {
+                                    for (const key of Object.keys(result.data.error)) {
+                                        result.data.error[key] = truncateOutput(result.data.error[key]);
+                                    }
+                                }
+                                if (result.data.status === 'completed' && result.data.time > limits.caseTimeLimit) {
+                                    result.data.status = 'failed';
+                                    result.data.verdict = Verdict.TIME_LIMIT_EXCEEDED;
+                                    result.data.reason = verdictNames[Verdict.TIME_LIMIT_EXCEEDED];
+                                }
+                                const caseResult = this.judgeCase(result.data, comparator, () =>
+                                    compareValues(result.data.actual, result.data.expected, comparator)
+                                );
+                                partialCases.push(caseResult);
+                                if (caseResult.status !== 'pending') {
+                                    this.emit('testResult', caseResult);
+                                }
+                            } else if (result.type === 'final_result' && !finalResults) {
+                                countOutput(Buffer.byteLength(prefix));
+                                console.log('[Runner] Final results received');
+                                testCases.forEach((testCase, i) => {
+                                    if (!reported.has(i + 1)) {
+                                        reported.add(i + 1);
+                                        const caseResult = missingCase(offset + i + 1, testCase);
+                                        partialCases.push(caseResult);
+                                        this.emit('testResult', caseResult);
+                                    }
+                                });
+                                partialCases.sort((a, b) => a.id - b.id);
+                                finalResults = this.summarize(partialCases, result.data?.execution_time ?? null, testCases.length);
+                            } else {
+                                countOutput(Buffer.byteLength(trimmedLine));
                             }
                         } catch (e) {
-                            console.log('[Runner] Parse error for line:', trimmedLine);
+                            countOutput(Buffer.byteLength(trimmedLine));
+                            // 只記錄前幾行，避免提交程式的輸出灌爆 log
+                            parseErrors++;
+                            if (parseErrors <= config.output.maxParseErrorLogs) {
+                                console.log('[Runner] Parse error for line:', truncateOutput(trimmedLine, 200));
+                            } else if (parseErrors === config.output.maxParseErrorLogs + 1) {
+                                console.log('[Runner] Further parse errors suppressed');
+                            }
                         }
                     }
+
+                    // 尚未換行的輸出先計入，避免不換行的大量輸出無限累積
+                    if (outputBytes + Buffer.byteLength(buffer) > limits.outputLimit) {
+                        countOutput(Buffer.byteLength(buffer));
+                    }
                 });
 
                 
@@ -252,20 +1091,24 @@ class Runner {
                     clearTimeout(timeoutId);
                     
                     if (err) {
-                        reject(err);
+                        fail(err);
                     } else if (data.StatusCode !== 0) {
-                        reject(new Error(`Container exited with code ${data.StatusCode}`));
+                        const exitCode = data.StatusCode;
+                        container.inspect().catch(() => null).then(info => {
+                            const { verdict, signal } = this.classifyExit(exitCode, info?.State?.OOMKilled === true);
+                            fail(new JudgeError(verdict, `Container exited with code ${exitCode}`, { exitCode, signal }));
+                        });
                     } else if (finalResults) {
                         resolve(finalResults);
                     } else {
-                        reject(new Error('No test results received'));
+                        fail(new Error('No test results received'));
                     }
                 });
 
                 stream.on('error', error => {
                     console.error('[Runner] Stream error:', error);
                     clearTimeout(timeoutId);
-                    reject(error);
+                    fail(error);
                 });
             });
 
@@ -275,6 +1118,9 @@ class Runner {
             console.error('[Runner] Execution error:', error);
             throw error;
         } finally {
+            if (sampler) {
+                this.addUsage('run', await sampler.stop());
+            }
             try {
                 await container.stop().catch(() => {});
                 await container.remove().catch(() => {});
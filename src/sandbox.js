@@ -0,0 +1,50 @@
+// sandbox.js
+import config from './config/config.js';
+
+// 讓容器保持執行，供 exec 逐一執行程式
+export const IDLE_COMMAND = ['tail', '-f', '/dev/null'];
+
+// 合併全域、語言與階段 (run / compile) 的安全設定
+export function resolveSandbox(langConfig, phase = 'run') {
+    const { compile: compileDefaults, verifyOnStartup, probeLanguage, ...defaults } = config.sandbox;
+    if (phase === 'compile') {
+        return {
+            ...defaults,
+            ...langConfig.sandbox,
+            ...compileDefaults,
+            ...langConfig.compile?.sandbox
+        };
+    }
+    return { ...defaults, ...langConfig.sandbox };
+}
+
+// sandbox.user ('uid' 或 'uid:gid') 的數字 id，gid 未指定時與 uid 相同
+export function sandboxOwner(sandbox) {
+    const match = String(sandbox.user).match(/^(\d+)(?::(\d+))?$/);
+    if (!match) {
+        throw new Error(`sandbox.user must be a numeric uid or uid:gid (got ${JSON.stringify(sandbox.user)})`);
+    }
+    return { uid: Number(match[1]), gid: Number(match[2] ?? match[1]) };
+}
+
+// 建立容器時的 User 與 HostConfig
+export function containerOptions(executionDir, { memoryLimit, cpuLimit }, sandbox) {
+    const mode = sandbox.readonlyCode ? ':ro' : '';
+    return {
+        User: sandbox.user,
+        HostConfig: {
+            Binds: [`${executionDir}:/code${mode}`],
+            Memory: memoryLimit * 1024 * 1024,
+            NanoCPUs: Math.floor(cpuLimit * 1e9),
+            PidsLimit: sandbox.pidsLimit,
+            Ulimits: [
+                { Name: 'fsize', Soft: sandbox.fileSizeLimit, Hard: sandbox.fileSizeLimit },
+                { Name: 'nofile', Soft: sandbox.openFilesLimit, Hard: sandbox.openFilesLimit }
+            ],
+            CapDrop: sandbox.capDrop,
+            ReadonlyRootfs: sandbox.readonlyRootfs,
+            Tmpfs: sandbox.tmpfs,
+            ...config.system.containerDefaults
+        }
+    };
+}
@@ -0,0 +1,218 @@
+// sources.js
+import path from 'path';
+import { inflateRawSync } from 'zlib';
+import { submissionConfig } from './config/config.js';
+
+// Runner 寫入執行目錄的檔案，提交的檔案不可使用
+export const RESERVED_PATHS = ['testcases.json', 'harness.json', 'shards', 'stdio', 'judge'];
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// 提交的檔案路徑：相對路徑、以 / 分隔，不可跳出執行目錄；回傳正規化後的路徑
+export function normalizeSourcePath(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('path must be a non-empty string');
+    }
+    if (name.includes('\0')) {
+        throw new Error(`path ${JSON.stringify(name)} contains a NUL byte`);
+    }
+
+    const slashed = name.replace(/\\/g, '/');
+    if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed)) {
+        throw new Error(`path ${JSON.stringify(name)} must be relative`);
+    }
+    if (slashed.split('/').includes('..')) {
+        throw new Error(`path ${JSON.stringify(name)} must not contain '..'`);
+    }
+
+    const normalized = path.posix.normalize(slashed);
+    if (normalized === '.' || normalized.endsWith('/')) {
+        throw new Error(`path ${JSON.stringify(name)} is not a file`);
+    }
+    return normalized;
+}
+
+// 解壓 zip (stored / deflate)，回傳 path -> Buffer；以 maxFiles、maxTotalSize 限制解壓後的大小
+export function extractZip(buffer, options = submissionConfig) {
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('archive is not a zip file');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('zip64 archives are not supported');
+    }
+
+    const files = new Map();
+    let totalSize = 0;
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('corrupt zip central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // 目錄由檔案路徑建立
+        if (name.endsWith('/')) continue;
+
+        if (flags & 0x1) {
+            throw new Error(`${name}: encrypted entries are not supported`);
+        }
+        const filePath = normalizeSourcePath(name);
+        totalSize += size;
+        if (files.size + 1 > options.maxFiles) {
+            throw new Error(`archive contains more than ${options.maxFiles} files`);
+        }
+        if (totalSize > options.maxTotalSize) {
+            throw new Error(`archive expands to more than ${options.maxTotalSize} bytes`);
+        }
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`${name}: corrupt zip entry`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = Buffer.from(data);
+        } else if (method === 8) {
+            // 以宣告的大小限制解壓結果，避免 zip bomb
+            try {
+                content = inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+        } else {
+            throw new Error(`${name}: unsupported compression method ${method}`);
+        }
+        if (content.length !== size) {
+            throw new Error(`${name}: size mismatch`);
+        }
+        files.set(filePath, content);
+    }
+
+    return files;
+}
+
+function checkFiles(files, langConfig, options) {
+    if (files.size === 0) {
+        throw new Error('submission contains no files');
+    }
+    if (files.size > options.maxFiles) {
+        throw new Error(`submission contains more than ${options.maxFiles} files`);
+    }
+
+    const reserved = [...RESERVED_PATHS, langConfig.harness?.file].filter(Boolean);
+    for (const filePath of files.keys()) {
+        const top = filePath.split('/')[0];
+        if (reserved.includes(top)) {
+            throw new Error(`${filePath} is reserved by the judge`);
+        }
+    }
+}
+
+// 入口檔：task.entry，否則依序為 sourceFile、唯一檔名為 sourceFile 的檔案、
+// 唯一副檔名相符的檔案、唯一符合 mainPattern (含 main 函式) 的檔案
+function detectEntry(files, langConfig) {
+    if (files.has(langConfig.sourceFile)) {
+        return langConfig.sourceFile;
+    }
+
+    const candidates = [...files.keys()].filter(filePath => filePath.endsWith(langConfig.fileExtension));
+    const named = candidates.filter(filePath => path.posix.basename(filePath) === langConfig.sourceFile);
+    if (named.length === 1) {
+        return named[0];
+    }
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+    if (langConfig.mainPattern) {
+        const pattern = new RegExp(langConfig.mainPattern, 'm');
+        const mains = candidates.filter(filePath => pattern.test(files.get(filePath).toString()));
+        if (mains.length === 1) {
+            return mains[0];
+        }
+    }
+
+    throw new Error(`Cannot determine the entry file among ${candidates.join(', ') || 'no ' + langConfig.fileExtension + ' files'}; set task.entry`);
+}
+
+// Java 以類別名稱執行：package 宣告 + 檔名
+function entryClassName(content, entry) {
+    const packageName = content.toString().match(/^\s*package\s+([\w.]+)\s*;/m)?.[1];
+    const className = path.posix.basename(entry, '.java');
+    return packageName ? `${packageName}.${className}` : className;
+}
+
+// 提交的檔案：
+//   task.code    - 單一檔案，寫入 langConfig.sourceFile (與 files 併用時為入口檔，files 為其餘檔案)
+//   task.files   - { 路徑: 內容 }，可包含多個模組、套件與題目提供的 starter 檔案
+//   task.archive - base64 編碼的 zip
+//   task.entry   - (可選) 入口檔路徑，未指定時自動判斷
+// 回傳 { files: Map(path -> string | Buffer), entry, mainClass }
+export function resolveSources(task, langConfig, options = submissionConfig) {
+    const files = new Map();
+    if (task.archive) {
+        for (const [filePath, content] of extractZip(Buffer.from(task.archive, 'base64'), options)) {
+            files.set(filePath, content);
+        }
+    }
+    for (const [name, content] of Object.entries(task.files || {})) {
+        files.set(normalizeSourcePath(name), content);
+    }
+    if (typeof task.code === 'string') {
+        files.set(langConfig.sourceFile, task.code);
+    }
+    checkFiles(files, langConfig, options);
+
+    let entry;
+    if (task.entry) {
+        entry = normalizeSourcePath(task.entry);
+        if (!files.has(entry)) {
+            throw new Error(`Entry file ${entry} is not part of the submission`);
+        }
+    } else {
+        entry = detectEntry(files, langConfig);
+    }
+
+    return {
+        files,
+        entry,
+        mainClass: langConfig.entryClass ? entryClassName(files.get(entry), entry) : null
+    };
+}
+
+// 指令中的 {{ENTRY}} 替換為入口檔，{{MAIN_CLASS}} 替換為入口類別
+export function entryCommand(command, sources) {
+    return command.map(arg => arg
+        .replace('{{ENTRY}}', sources.entry)
+        .replace('{{MAIN_CLASS}}', sources.mainClass));
+}
+
+// 要編譯的檔案：compile.sources 為 'entry' 時只編譯入口檔 (其餘由語言自行載入)，
+// 否則為所有副檔名相符的檔案
+export function compileSources(sources, langConfig) {
+    if (langConfig.compile.sources === 'entry') {
+        return [sources.entry];
+    }
+    return [...sources.files.keys()].filter(filePath => filePath.endsWith(langConfig.fileExtension));
+}
@@ -0,0 +1,125 @@
+// taskQueue.js
+import { EventEmitter } from 'events';
+import { workerConfig } from './config/config.js';
+
+class TaskQueue extends EventEmitter {
+    constructor(handler, options = {}) {
+        super();
+        this.handler = handler;
+        this.maxRunners = options.maxRunners ?? workerConfig.maxRunners;
+        this.maxQueueSize = options.maxQueueSize ?? workerConfig.maxQueueSize;
+
+        // 等待執行的任務 (FIFO)
+        this.pending = [];
+        // 執行中的任務
+        this.running = new Set();
+        // 執行中任務額外佔用的名額 (分組平行執行的容器)
+        this.reserved = 0;
+    }
+
+    // 回傳 false 表示佇列已滿，任務未被接受
+    enqueue(task) {
+        if (this.pending.length >= this.maxQueueSize) {
+            console.log(`[TaskQueue] Queue full, rejecting task ${task?.id}`);
+            return false;
+        }
+
+        this.pending.push(task);
+        console.log(`[TaskQueue] Task ${task?.id} queued (${this.pending.length}/${this.maxQueueSize})`);
+        this.emit('change', this.getStatus());
+        this.schedule();
+        return true;
+    }
+
+    // 從佇列移除尚未開始的任務；不在佇列中時回傳 null
+    remove(taskId) {
+        const index = this.pending.findIndex(task => task?.id === taskId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [task] = this.pending.splice(index, 1);
+        console.log(`[TaskQueue] Task ${taskId} removed from queue`);
+        this.emit('change', this.getStatus());
+        return task;
+    }
+
+    // 為執行中的任務保留至多 count 個名額，回傳實際取得的數量 (可能為 0)
+    reserve(count) {
+        const granted = Math.max(0, Math.min(count, this.maxRunners - this.running.size - this.reserved));
+        if (granted > 0) {
+            this.reserved += granted;
+            this.emit('change', this.getStatus());
+        }
+        return granted;
+    }
+
+    release(count) {
+        if (count <= 0) return;
+        this.reserved = Math.max(0, this.reserved - count);
+        this.emit('change', this.getStatus());
+        this.schedule();
+    }
+
+    schedule() {
+        while (this.running.size + this.reserved < this.maxRunners && this.pending.length > 0) {
+            const task = this.pending.shift();
+            this.running.add(task);
+            this.emit('change', this.getStatus());
+
+            Promise.resolve()
+                .then(() => this.handler(task))
+                .catch(error => {
+                    console.error(`[TaskQueue] Task ${task?.id} failed:`, error);
+                })
+                .finally(() => {
+                    this.running.delete(task);
+                    this.emit('change', this.getStatus());
+                    this.schedule();
+                });
+        }
+    }
+
+    // 等待所有執行中任務結束；逾時回傳 false
+    waitForIdle(timeout) {
+        if (this.running.size === 0) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const onChange = status => {
+                if (status.running === 0) {
+                    clearTimeout(timer);
+                    this.off('change', onChange);
+                    resolve(true);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.off('change', onChange);
+                resolve(false);
+            }, timeout);
+            this.on('change', onChange);
+        });
+    }
+
+    // 清空等待中的任務並回傳
+    clear() {
+        const tasks = this.pending.splice(0);
+        if (tasks.length > 0) {
+            this.emit('change', this.getStatus());
+        }
+        return tasks;
+    }
+
+    getStatus() {
+        return {
+            queued: this.pending.length,
+            running: this.running.size,
+            maxRunners: this.maxRunners,
+            reserved: this.reserved,
+            maxQueueSize: this.maxQueueSize
+        };
+    }
+}
+
+export default TaskQueue;
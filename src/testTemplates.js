@@ -2,17 +2,48 @@
 export const testTemplates = {
     python: `
 import json
+import os
 import sys
 import traceback
 from time import time
 
-def run_tests(test_cases, solution_func):
+def to_json(value):
+    # set / tuple 等非 JSON 型別的序列化
+    if isinstance(value, (set, frozenset)):
+        return list(value)
+    return str(value)
+
+def resolve_call(module, harness):
+    # 依 harness.json 決定如何呼叫提交的程式:
+    #   arguments  - input 為參數列表，呼叫 function (預設 solution)；
+    #                指定 className 時每個案例建立新的物件再呼叫其方法
+    #   operations - input 為 {operations, arguments}：以第一個操作建立物件 (className 預設為第一個操作)，
+    #                依序呼叫其餘方法，回傳每個操作的輸出 (建立物件為 None)
+    # 每個案例才取得函式，找不到時回報在案例的 error
+    function = harness.get('function') or 'solution'
+    class_name = harness.get('className')
+
+    if harness.get('testFormat') == 'operations':
+        def call(test_input):
+            operations = test_input['operations']
+            arguments = test_input['arguments']
+            instance = getattr(module, class_name or operations[0])(*arguments[0])
+            outputs = [None]
+            for name, args in zip(operations[1:], arguments[1:]):
+                outputs.append(getattr(instance, name)(*args))
+            return outputs
+        return call
+
+    if class_name:
+        return lambda args: getattr(getattr(module, class_name)(), function)(*args)
+    return lambda args: getattr(module, function)(*args)
+
+def run_tests(test_cases, call):
+    # 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+    # input / expected 由 Runner 依 id 補上，輸出量不隨測試資料增加
     results = {
         'total': len(test_cases),
-        'passed': 0,
-        'failed': 0,
-        'execution_time': 0,
-        'cases': []
+        'execution_time': 0
     }
     
     total_start = time()
@@ -20,33 +51,25 @@ def run_tests(test_cases, solution_func):
     for i, test_case in enumerate(test_cases, 1):
         case_result = {
             'id': i,
-            'status': 'failed',  # default status
-            'input': test_case['input'],
-            'expected': test_case['expected']
+            'status': 'error'  # default status
         }
         
         try:
             start_time = time()
-            actual = solution_func(*test_case['input'])
+            actual = call(test_case['input'])
             end_time = time()
             
             case_result.update({
                 'actual': actual,
                 'time': round((end_time - start_time) * 1000, 2),  # ms
-                'status': 'passed' if actual == test_case['expected'] else 'failed',
+                'status': 'completed',
                 'error': None
             })
-            
-            if case_result['status'] == 'passed':
-                results['passed'] += 1
-            else:
-                results['failed'] += 1
-                case_result['reason'] = 'Wrong Answer'
                 
         except Exception as e:
-            results['failed'] += 1
             case_result.update({
-                'status': 'error',
+                # 記憶體配置失敗由 Runner 判為 MLE
+                'status': 'memory_limit' if isinstance(e, MemoryError) else 'error',
                 'error': {
                     'type': type(e).__name__,
                     'message': str(e),
@@ -54,29 +77,74 @@ def run_tests(test_cases, solution_func):
                 }
             })
         
-        results['cases'].append(case_result)
         # 即時輸出結果
-        print(json.dumps({"type": "test_result", "data": case_result}), flush=True)
+        print(json.dumps({"type": "test_result", "data": case_result}, default=to_json), flush=True)
     
     results['execution_time'] = round((time() - total_start) * 1000, 2)  # ms
-    print(json.dumps({"type": "final_result", "data": results}), flush=True)
+    print(json.dumps({"type": "final_result", "data": results}, default=to_json), flush=True)
 
 if __name__ == '__main__':
-    import solution
-    test_cases = {{TEST_CASES}}  # 將被替換為實際的測試案例
-    run_tests(test_cases, solution.solution)
+    import importlib
+    base_dir = os.path.dirname(os.path.abspath(__file__))
+    # 入口檔與測試案例由 Runner 寫入同目錄的 harness.json、testcases.json
+    # 分組執行時以參數指定該組的測試案例檔
+    with open(os.path.join(base_dir, 'harness.json'), encoding='utf-8') as f:
+        harness = json.load(f)
+    with open(os.path.join(base_dir, sys.argv[1] if len(sys.argv) > 1 else 'testcases.json'), encoding='utf-8') as f:
+        test_cases = json.load(f)
+    # pkg/main.py -> pkg.main
+    solution = importlib.import_module(harness['entry'][:-len('.py')].replace('/', '.'))
+    run_tests(test_cases, resolve_call(solution, harness))
 `,
 
     javascript: `
+const fs = require('fs');
+const path = require('path');
 const { performance } = require('perf_hooks');
 
-async function runTests(testCases, solutionFunc) {
+// 依 harness.json 決定如何呼叫提交的程式 (格式說明見 python harness)
+function resolveCall(solution, harness) {
+    const lookup = name => {
+        const value = solution[name] ?? (solution.name === name ? solution : undefined);
+        if (typeof value !== 'function') {
+            throw new TypeError(\`\${name} is not exported by \${harness.entry}\`);
+        }
+        return value;
+    };
+    const functionName = harness.function || 'solution';
+
+    if (harness.testFormat === 'operations') {
+        return async input => {
+            const { operations, arguments: args } = input;
+            const Class = lookup(harness.className || operations[0]);
+            const instance = new Class(...args[0]);
+            const outputs = [null];
+            for (let i = 1; i < operations.length; i++) {
+                const output = await instance[operations[i]](...args[i]);
+                outputs.push(output === undefined ? null : output);
+            }
+            return outputs;
+        };
+    }
+
+    if (harness.className) {
+        return input => {
+            const instance = new (lookup(harness.className))();
+            if (typeof instance[functionName] !== 'function') {
+                throw new TypeError(\`\${harness.className}.\${functionName} is not a function\`);
+            }
+            return instance[functionName](...input);
+        };
+    }
+    return input => lookup(functionName)(...input);
+}
+
+async function runTests(testCases, call) {
+    // 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+    // input / expected 由 Runner 依 id 補上，輸出量不隨測試資料增加
     const results = {
         total: testCases.length,
-        passed: 0,
-        failed: 0,
-        execution_time: 0,
-        cases: []
+        execution_time: 0
     };
 
     const totalStart = performance.now();
@@ -85,31 +153,19 @@ async function runTests(testCases, solutionFunc) {
         const testCase = testCases[i];
         const caseResult = {
             id: i + 1,
-            status: 'failed',
-            input: testCase.input,
-            expected: testCase.expected
+            status: 'error'
         };
 
         try {
             const startTime = performance.now();
-            const actual = await solutionFunc(...testCase.input);
+            const actual = await call(testCase.input);
             const endTime = performance.now();
 
-            const isEqual = JSON.stringify(actual) === JSON.stringify(testCase.expected);
-            
             caseResult.actual = actual;
             caseResult.time = Math.round((endTime - startTime) * 100) / 100;
-            caseResult.status = isEqual ? 'passed' : 'failed';
+            caseResult.status = 'completed';
             caseResult.error = null;
-
-            if (isEqual) {
-                results.passed++;
-            } else {
-                results.failed++;
-                caseResult.reason = 'Wrong Answer';
-            }
         } catch (e) {
-            results.failed++;
             caseResult.status = 'error';
             caseResult.error = {
                 type: e.name,
@@ -118,7 +174,6 @@ async function runTests(testCases, solutionFunc) {
             };
         }
 
-        results.cases.push(caseResult);
         console.log(JSON.stringify({ type: 'test_result', data: caseResult }));
     }
 
@@ -126,94 +181,1912 @@ async function runTests(testCases, solutionFunc) {
     console.log(JSON.stringify({ type: 'final_result', data: results }));
 }
 
-const solution = require('./solution');
-const testCases = {{TEST_CASES}};
-runTests(testCases, solution.solution);
+// 入口檔與測試案例由 Runner 寫入同目錄的 harness.json、testcases.json
+// 分組執行時以參數指定該組的測試案例檔
+const harness = JSON.parse(fs.readFileSync(path.join(__dirname, 'harness.json'), 'utf8'));
+const testCases = JSON.parse(fs.readFileSync(path.join(__dirname, process.argv[2] || 'testcases.json'), 'utf8'));
+const solution = require(path.join(__dirname, harness.entry));
+runTests(testCases, resolveCall(solution, harness));
 `,
 
-    java: `
+    // String.raw 保留 Java 原始碼中的跳脫字元
+    java: String.raw`
+import java.lang.reflect.*;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.*;
 import java.util.*;
-import com.fasterxml.jackson.databind.ObjectMapper;
 
 public class TestRunner {
-    static class TestCase {
-        public Object[] input;
-        public Object expected;
+    // 入口類別 (harness.json 的 mainClass)，可位於 package 中
+    static Class<?> solutionClass;
+
+    // function: 呼叫的方法 (預設 solution)；className: 要建立的類別 (預設為入口類別)
+    // operationsFormat: input 為 {operations, arguments} (格式說明見 python harness)
+    static String functionName;
+    static String className;
+    static boolean operationsFormat;
+
+    // amazoncorretto 映像沒有 JSON 函式庫，這裡提供最小的解析與序列化
+    static class Json {
+        private final String src;
+        private int pos = 0;
+
+        private Json(String src) {
+            this.src = src;
+        }
+
+        static Object parse(String src) {
+            Json parser = new Json(src);
+            parser.skipWhitespace();
+            Object value = parser.readValue();
+            parser.skipWhitespace();
+            if (parser.pos != src.length()) {
+                throw new IllegalArgumentException("Unexpected trailing data at " + parser.pos);
+            }
+            return value;
+        }
+
+        private void skipWhitespace() {
+            while (pos < src.length() && Character.isWhitespace(src.charAt(pos))) {
+                pos++;
+            }
+        }
+
+        private Object readValue() {
+            if (pos >= src.length()) {
+                throw new IllegalArgumentException("Unexpected end of JSON");
+            }
+            switch (src.charAt(pos)) {
+                case '{': return readObject();
+                case '[': return readArray();
+                case '"': return readString();
+                case 't': expect("true"); return Boolean.TRUE;
+                case 'f': expect("false"); return Boolean.FALSE;
+                case 'n': expect("null"); return null;
+                default: return readNumber();
+            }
+        }
+
+        private void expect(String token) {
+            if (!src.startsWith(token, pos)) {
+                throw new IllegalArgumentException("Unexpected token at " + pos);
+            }
+            pos += token.length();
+        }
+
+        private Map<String, Object> readObject() {
+            Map<String, Object> map = new LinkedHashMap<>();
+            pos++;
+            skipWhitespace();
+            if (src.charAt(pos) == '}') {
+                pos++;
+                return map;
+            }
+            while (true) {
+                skipWhitespace();
+                String key = readString();
+                skipWhitespace();
+                expect(":");
+                skipWhitespace();
+                map.put(key, readValue());
+                skipWhitespace();
+                char c = src.charAt(pos++);
+                if (c == '}') return map;
+                if (c != ',') throw new IllegalArgumentException("Expected ',' or '}' at " + (pos - 1));
+            }
+        }
+
+        private List<Object> readArray() {
+            List<Object> list = new ArrayList<>();
+            pos++;
+            skipWhitespace();
+            if (src.charAt(pos) == ']') {
+                pos++;
+                return list;
+            }
+            while (true) {
+                skipWhitespace();
+                list.add(readValue());
+                skipWhitespace();
+                char c = src.charAt(pos++);
+                if (c == ']') return list;
+                if (c != ',') throw new IllegalArgumentException("Expected ',' or ']' at " + (pos - 1));
+            }
+        }
+
+        private String readString() {
+            if (src.charAt(pos) != '"') {
+                throw new IllegalArgumentException("Expected string at " + pos);
+            }
+            pos++;
+            StringBuilder sb = new StringBuilder();
+            while (true) {
+                char c = src.charAt(pos++);
+                if (c == '"') return sb.toString();
+                if (c != '\\') {
+                    sb.append(c);
+                    continue;
+                }
+                char escaped = src.charAt(pos++);
+                switch (escaped) {
+                    case 'n': sb.append('\n'); break;
+                    case 't': sb.append('\t'); break;
+                    case 'r': sb.append('\r'); break;
+                    case 'b': sb.append('\b'); break;
+                    case 'f': sb.append('\f'); break;
+                    case 'u':
+                        sb.append((char) Integer.parseInt(src.substring(pos, pos + 4), 16));
+                        pos += 4;
+                        break;
+                    default: sb.append(escaped);
+                }
+            }
+        }
+
+        private Number readNumber() {
+            int start = pos;
+            while (pos < src.length() && "+-0123456789.eE".indexOf(src.charAt(pos)) >= 0) {
+                pos++;
+            }
+            String token = src.substring(start, pos);
+            if (token.isEmpty()) {
+                throw new IllegalArgumentException("Unexpected token at " + start);
+            }
+            if (token.contains(".") || token.contains("e") || token.contains("E")) {
+                return Double.parseDouble(token);
+            }
+            try {
+                return Long.parseLong(token);
+            } catch (NumberFormatException e) {
+                return Double.parseDouble(token);
+            }
+        }
+
+        static String stringify(Object value) {
+            StringBuilder sb = new StringBuilder();
+            write(sb, value);
+            return sb.toString();
+        }
+
+        private static void write(StringBuilder sb, Object value) {
+            if (value == null) {
+                sb.append("null");
+            } else if (value instanceof String || value instanceof Character) {
+                quote(sb, value.toString());
+            } else if (value instanceof Double || value instanceof Float) {
+                double d = ((Number) value).doubleValue();
+                sb.append(Double.isFinite(d) ? value.toString() : "null");
+            } else if (value instanceof Number || value instanceof Boolean) {
+                sb.append(value);
+            } else if (value instanceof Map) {
+                sb.append('{');
+                boolean first = true;
+                for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+                    if (!first) sb.append(',');
+                    first = false;
+                    quote(sb, String.valueOf(entry.getKey()));
+                    sb.append(':');
+                    write(sb, entry.getValue());
+                }
+                sb.append('}');
+            } else if (value instanceof Iterable) {
+                sb.append('[');
+                boolean first = true;
+                for (Object item : (Iterable<?>) value) {
+                    if (!first) sb.append(',');
+                    first = false;
+                    write(sb, item);
+                }
+                sb.append(']');
+            } else if (value.getClass().isArray()) {
+                sb.append('[');
+                int length = Array.getLength(value);
+                for (int i = 0; i < length; i++) {
+                    if (i > 0) sb.append(',');
+                    write(sb, Array.get(value, i));
+                }
+                sb.append(']');
+            } else {
+                quote(sb, value.toString());
+            }
+        }
+
+        private static void quote(StringBuilder sb, String s) {
+            sb.append('"');
+            for (char c : s.toCharArray()) {
+                switch (c) {
+                    case '"': sb.append("\\\""); break;
+                    case '\\': sb.append("\\\\"); break;
+                    case '\n': sb.append("\\n"); break;
+                    case '\r': sb.append("\\r"); break;
+                    case '\t': sb.append("\\t"); break;
+                    default:
+                        if (c < 0x20) {
+                            sb.append(String.format("\\u%04x", (int) c));
+                        } else {
+                            sb.append(c);
+                        }
+                }
+            }
+            sb.append('"');
+        }
+    }
+
+    // 依 solution 方法的參數型別轉換 JSON 值
+    static Object convert(Object value, Type type) {
+        Class<?> raw = rawClass(type);
+        if (value == null || raw == Object.class) return value;
+
+        if (raw == int.class || raw == Integer.class) return ((Number) value).intValue();
+        if (raw == long.class || raw == Long.class) return ((Number) value).longValue();
+        if (raw == double.class || raw == Double.class) return ((Number) value).doubleValue();
+        if (raw == float.class || raw == Float.class) return ((Number) value).floatValue();
+        if (raw == short.class || raw == Short.class) return ((Number) value).shortValue();
+        if (raw == byte.class || raw == Byte.class) return ((Number) value).byteValue();
+        if (raw == char.class || raw == Character.class) return value.toString().charAt(0);
+        if (raw == String.class) return value.toString();
+
+        if (raw.isArray()) {
+            List<?> list = (List<?>) value;
+            Type componentType = type instanceof GenericArrayType
+                ? ((GenericArrayType) type).getGenericComponentType()
+                : raw.getComponentType();
+            Object array = Array.newInstance(rawClass(componentType), list.size());
+            for (int i = 0; i < list.size(); i++) {
+                Array.set(array, i, convert(list.get(i), componentType));
+            }
+            return array;
+        }
+
+        if (Collection.class.isAssignableFrom(raw)) {
+            Type elementType = typeArgument(type, 0);
+            Collection<Object> collection = Set.class.isAssignableFrom(raw) ? new LinkedHashSet<>() : new ArrayList<>();
+            for (Object item : (List<?>) value) {
+                collection.add(convert(item, elementType));
+            }
+            return collection;
+        }
+
+        if (Map.class.isAssignableFrom(raw)) {
+            Type valueType = typeArgument(type, 1);
+            Map<String, Object> map = new LinkedHashMap<>();
+            for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+                map.put(String.valueOf(entry.getKey()), convert(entry.getValue(), valueType));
+            }
+            return map;
+        }
+
+        return value;
+    }
+
+    static Class<?> rawClass(Type type) {
+        if (type instanceof Class) return (Class<?>) type;
+        if (type instanceof ParameterizedType) return (Class<?>) ((ParameterizedType) type).getRawType();
+        if (type instanceof GenericArrayType) {
+            return Array.newInstance(rawClass(((GenericArrayType) type).getGenericComponentType()), 0).getClass();
+        }
+        return Object.class;
+    }
+
+    static Type typeArgument(Type type, int index) {
+        if (type instanceof ParameterizedType) {
+            Type[] arguments = ((ParameterizedType) type).getActualTypeArguments();
+            if (index < arguments.length) return arguments[index];
+        }
+        return Object.class;
+    }
+
+    // className 可為完整名稱、與入口類別同 package 的類別，或入口類別的巢狀類別
+    static Class<?> resolveClass(String name) throws ClassNotFoundException {
+        if (name == null) return solutionClass;
+        List<String> candidates = new ArrayList<>();
+        candidates.add(name);
+        String packageName = solutionClass.getPackageName();
+        if (!packageName.isEmpty()) candidates.add(packageName + "." + name);
+        candidates.add(solutionClass.getName() + "$" + name);
+        for (String candidate : candidates) {
+            try {
+                return Class.forName(candidate);
+            } catch (ClassNotFoundException e) {
+                // 嘗試下一個
+            }
+        }
+        throw new ClassNotFoundException(name);
+    }
+
+    // 優先選擇參數數量與輸入相同的方法
+    static Method findMethod(Class<?> type, String name, int argc) {
+        Method fallback = null;
+        for (Method method : type.getDeclaredMethods()) {
+            if (!method.getName().equals(name)) continue;
+            if (method.getParameterCount() == argc) return method;
+            fallback = method;
+        }
+        if (fallback == null) {
+            throw new IllegalStateException(type.getName() + "." + name + " not found");
+        }
+        return fallback;
+    }
+
+    static Constructor<?> findConstructor(Class<?> type, int argc) {
+        Constructor<?> fallback = null;
+        for (Constructor<?> constructor : type.getDeclaredConstructors()) {
+            if (constructor.getParameterCount() == argc) return constructor;
+            fallback = constructor;
+        }
+        return fallback;
+    }
+
+    static Object[] bindArguments(Executable executable, List<?> input) {
+        Type[] types = executable.getGenericParameterTypes();
+        // 相容舊的 solution(Object[]) 寫法
+        if (types.length == 1 && types[0] == Object[].class && input.size() != 1) {
+            return new Object[] { input.toArray() };
+        }
+        if (types.length != input.size()) {
+            String name = executable instanceof Constructor
+                ? "new " + executable.getDeclaringClass().getName()
+                : executable.getDeclaringClass().getName() + "." + executable.getName();
+            throw new IllegalArgumentException(
+                name + " expects " + types.length + " arguments but test case has " + input.size());
+        }
+        Object[] args = new Object[types.length];
+        for (int i = 0; i < types.length; i++) {
+            args[i] = convert(input.get(i), types[i]);
+        }
+        return args;
+    }
+
+    static Object newInstance(Class<?> type, List<?> input) throws Exception {
+        Constructor<?> constructor = findConstructor(type, input.size());
+        constructor.setAccessible(true);
+        return constructor.newInstance(bindArguments(constructor, input));
     }
 
-    static class CaseResult {
-        public int id;
-        public String status = "failed";
-        public Object[] input;
-        public Object expected;
-        public Object actual;
-        public double time;
-        public String reason;
-        public Map<String, String> error;
+    // 以第一個操作建立物件，依序呼叫其餘方法，回傳每個操作的輸出 (建立物件與 void 方法為 null)
+    static List<Object> runOperations(Map<?, ?> input) throws Exception {
+        List<?> operations = (List<?>) input.get("operations");
+        List<?> arguments = (List<?>) input.get("arguments");
+        Class<?> type = resolveClass(className != null ? className : (String) operations.get(0));
+        Object instance = newInstance(type, (List<?>) arguments.get(0));
+
+        List<Object> outputs = new ArrayList<>();
+        outputs.add(null);
+        for (int i = 1; i < operations.size(); i++) {
+            List<?> args = (List<?>) arguments.get(i);
+            Method method = findMethod(type, (String) operations.get(i), args.size());
+            method.setAccessible(true);
+            outputs.add(method.invoke(instance, bindArguments(method, args)));
+        }
+        return outputs;
     }
 
-    static class TestResults {
-        public int total;
-        public int passed = 0;
-        public int failed = 0;
-        public double execution_time;
-        public List<CaseResult> cases = new ArrayList<>();
+    static Map<String, Object> message(String type, Object data) {
+        Map<String, Object> message = new LinkedHashMap<>();
+        message.put("type", type);
+        message.put("data", data);
+        return message;
     }
 
     public static void main(String[] args) throws Exception {
-        ObjectMapper mapper = new ObjectMapper();
-        TestCase[] testCases = {{TEST_CASES}};
-        
-        TestResults results = new TestResults();
-        results.total = testCases.length;
-        
+        // 入口類別與測試案例由 Runner 寫入同目錄的 harness.json、testcases.json
+        // 分組執行時以參數指定該組的測試案例檔
+        Map<?, ?> harness = (Map<?, ?>) Json.parse(
+            new String(Files.readAllBytes(Paths.get("harness.json")), StandardCharsets.UTF_8));
+        solutionClass = Class.forName((String) harness.get("mainClass"));
+        functionName = harness.get("function") != null ? (String) harness.get("function") : "solution";
+        className = (String) harness.get("className");
+        operationsFormat = "operations".equals(harness.get("testFormat"));
+
+        String data = new String(Files.readAllBytes(Paths.get(args.length > 0 ? args[0] : "testcases.json")), StandardCharsets.UTF_8);
+        List<?> testCases = (List<?>) Json.parse(data);
+
+        // 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+        // input / expected 由 Runner 依 id 補上，輸出量不隨測試資料增加
+        Map<String, Object> results = new LinkedHashMap<>();
+        results.put("total", testCases.size());
+        results.put("execution_time", 0);
+
         long totalStart = System.nanoTime();
-        
-        for (int i = 0; i < testCases.length; i++) {
-            TestCase testCase = testCases[i];
-            CaseResult caseResult = new CaseResult();
-            caseResult.id = i + 1;
-            caseResult.input = testCase.input;
-            caseResult.expected = testCase.expected;
-            
+
+        for (int i = 0; i < testCases.size(); i++) {
+            Map<?, ?> testCase = (Map<?, ?>) testCases.get(i);
+            Object input = testCase.get("input");
+
+            Map<String, Object> caseResult = new LinkedHashMap<>();
+            caseResult.put("id", i + 1);
+            caseResult.put("status", "error");
+
             try {
-                long start = System.nanoTime();
-                Object actual = Solution.solution(testCase.input);
-                long end = System.nanoTime();
-                
-                caseResult.actual = actual;
-                caseResult.time = (end - start) / 1_000_000.0; // convert to ms
-                
-                boolean isEqual = Objects.deepEquals(actual, testCase.expected);
-                if (isEqual) {
-                    caseResult.status = "passed";
-                    results.passed++;
+                Object actual;
+                long start;
+                long end;
+                if (operationsFormat) {
+                    start = System.nanoTime();
+                    actual = runOperations((Map<?, ?>) input);
+                    end = System.nanoTime();
                 } else {
-                    caseResult.status = "failed";
-                    caseResult.reason = "Wrong Answer";
-                    results.failed++;
-                }
-            } catch (Exception e) {
-                results.failed++;
-                caseResult.status = "error";
-                Map<String, String> error = new HashMap<>();
-                error.put("type", e.getClass().getName());
-                error.put("message", e.getMessage());
-                error.put("stackTrace", Arrays.toString(e.getStackTrace()));
-                caseResult.error = error;
+                    List<?> arguments = (List<?>) input;
+                    Class<?> type = resolveClass(className);
+                    Method method = findMethod(type, functionName, arguments.size());
+                    method.setAccessible(true);
+                    Object[] bound = bindArguments(method, arguments);
+                    Object target = Modifier.isStatic(method.getModifiers())
+                        ? null
+                        : newInstance(type, Collections.emptyList());
+
+                    start = System.nanoTime();
+                    actual = method.invoke(target, bound);
+                    end = System.nanoTime();
+                }
+
+                caseResult.put("actual", actual);
+                caseResult.put("time", (end - start) / 1_000_000.0); // convert to ms
+                caseResult.put("status", "completed");
+                caseResult.put("error", null);
+            } catch (Throwable e) {
+                Throwable cause = e instanceof InvocationTargetException ? e.getCause() : e;
+                Map<String, Object> error = new LinkedHashMap<>();
+                error.put("type", cause.getClass().getName());
+                error.put("message", cause.getMessage());
+                error.put("stackTrace", Arrays.toString(cause.getStackTrace()));
+                // 記憶體配置失敗由 Runner 判為 MLE
+                caseResult.put("status", cause instanceof OutOfMemoryError ? "memory_limit" : "error");
+                caseResult.put("error", error);
             }
-            
-            results.cases.add(caseResult);
-            System.out.println(mapper.writeValueAsString(
-                Map.of("type", "test_result", "data", caseResult)
-            ));
+
+            System.out.println(Json.stringify(message("test_result", caseResult)));
         }
-        
-        results.execution_time = (System.nanoTime() - totalStart) / 1_000_000.0;
-        System.out.println(mapper.writeValueAsString(
-            Map.of("type", "final_result", "data", results)
-        ));
+
+        results.put("execution_time", (System.nanoTime() - totalStart) / 1_000_000.0);
+        System.out.println(Json.stringify(message("final_result", results)));
     }
 }
+`,
+
+    // 編譯式語言無法依名稱在執行時找到函式，{{BINDINGS}} 由 harnessBindings 依任務產生 (include 入口檔並指定呼叫對象)
+    cpp: String.raw`
+// 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+// 參數依被呼叫函式的參數型別從 JSON 轉換 (judge::Arg)，支援數值、bool、char、std::string、
+// std::vector 與 C 的陣列 (T*) / 字串 (char*)；呼叫的函式、類別與方法由 Runner 產生的 bindings 指定
+#include <algorithm>
+#include <chrono>
+#include <cctype>
+#include <cmath>
+#include <cstdio>
+#include <cstdlib>
+#include <cstring>
+#include <cxxabi.h>
+#include <fstream>
+#include <iostream>
+#include <memory>
+#include <new>
+#include <sstream>
+#include <stdexcept>
+#include <string>
+#include <type_traits>
+#include <typeinfo>
+#include <utility>
+#include <vector>
+
+namespace judge {
+
+struct Json {
+    enum Type { Null, Bool, Number, String, Array, Object } type = Null;
+    bool boolean = false;
+    std::string text;  // 數字的原始文字或字串內容
+    std::vector<Json> items;
+    std::vector<std::pair<std::string, Json>> fields;
+
+    const Json& at(const std::string& key) const {
+        for (const auto& field : fields) {
+            if (field.first == key) return field.second;
+        }
+        throw std::invalid_argument("missing field " + key);
+    }
+};
+
+class Parser {
+public:
+    explicit Parser(const std::string& text) : text(text) {}
+
+    Json parse() {
+        Json value = parseValue();
+        skipSpace();
+        if (pos != text.size()) fail("unexpected trailing characters");
+        return value;
+    }
+
+private:
+    const std::string& text;
+    size_t pos = 0;
+
+    [[noreturn]] void fail(const std::string& message) {
+        throw std::runtime_error("invalid JSON at " + std::to_string(pos) + ": " + message);
+    }
+
+    void skipSpace() {
+        while (pos < text.size() && std::isspace(static_cast<unsigned char>(text[pos]))) pos++;
+    }
+
+    bool consume(const char* literal) {
+        size_t length = std::char_traits<char>::length(literal);
+        if (text.compare(pos, length, literal) != 0) return false;
+        pos += length;
+        return true;
+    }
+
+    Json parseValue() {
+        skipSpace();
+        if (pos >= text.size()) fail("unexpected end");
+        Json value;
+        char c = text[pos];
+        if (c == '{') {
+            value.type = Json::Object;
+            pos++;
+            skipSpace();
+            if (pos < text.size() && text[pos] == '}') { pos++; return value; }
+            while (true) {
+                skipSpace();
+                if (pos >= text.size() || text[pos] != '"') fail("expected key");
+                std::string key = parseString();
+                skipSpace();
+                if (pos >= text.size() || text[pos++] != ':') fail("expected ':'");
+                value.fields.emplace_back(key, parseValue());
+                skipSpace();
+                if (pos < text.size() && text[pos] == ',') { pos++; continue; }
+                if (pos < text.size() && text[pos] == '}') { pos++; return value; }
+                fail("expected ',' or '}'");
+            }
+        }
+        if (c == '[') {
+            value.type = Json::Array;
+            pos++;
+            skipSpace();
+            if (pos < text.size() && text[pos] == ']') { pos++; return value; }
+            while (true) {
+                value.items.push_back(parseValue());
+                skipSpace();
+                if (pos < text.size() && text[pos] == ',') { pos++; continue; }
+                if (pos < text.size() && text[pos] == ']') { pos++; return value; }
+                fail("expected ',' or ']'");
+            }
+        }
+        if (c == '"') {
+            value.type = Json::String;
+            value.text = parseString();
+            return value;
+        }
+        if (consume("true")) { value.type = Json::Bool; value.boolean = true; return value; }
+        if (consume("false")) { value.type = Json::Bool; return value; }
+        if (consume("null")) return value;
+
+        size_t start = pos;
+        while (pos < text.size() && std::strchr("+-0123456789.eE", text[pos])) pos++;
+        if (start == pos) fail("unexpected character");
+        value.type = Json::Number;
+        value.text = text.substr(start, pos - start);
+        return value;
+    }
+
+    void appendUtf8(std::string& out, unsigned long code) {
+        if (code < 0x80) {
+            out += static_cast<char>(code);
+        } else if (code < 0x800) {
+            out += static_cast<char>(0xC0 | (code >> 6));
+            out += static_cast<char>(0x80 | (code & 0x3F));
+        } else if (code < 0x10000) {
+            out += static_cast<char>(0xE0 | (code >> 12));
+            out += static_cast<char>(0x80 | ((code >> 6) & 0x3F));
+            out += static_cast<char>(0x80 | (code & 0x3F));
+        } else {
+            out += static_cast<char>(0xF0 | (code >> 18));
+            out += static_cast<char>(0x80 | ((code >> 12) & 0x3F));
+            out += static_cast<char>(0x80 | ((code >> 6) & 0x3F));
+            out += static_cast<char>(0x80 | (code & 0x3F));
+        }
+    }
+
+    unsigned long parseHex() {
+        if (pos + 4 > text.size()) fail("invalid escape");
+        unsigned long code = std::stoul(text.substr(pos, 4), nullptr, 16);
+        pos += 4;
+        return code;
+    }
+
+    std::string parseString() {
+        std::string out;
+        pos++;
+        while (pos < text.size() && text[pos] != '"') {
+            char c = text[pos++];
+            if (c != '\\') { out += c; continue; }
+            if (pos >= text.size()) fail("invalid escape");
+            char escape = text[pos++];
+            switch (escape) {
+                case 'n': out += '\n'; break;
+                case 't': out += '\t'; break;
+                case 'r': out += '\r'; break;
+                case 'b': out += '\b'; break;
+                case 'f': out += '\f'; break;
+                case 'u': {
+                    unsigned long code = parseHex();
+                    if (code >= 0xD800 && code < 0xDC00 && consume("\\u")) {
+                        code = 0x10000 + ((code - 0xD800) << 10) + (parseHex() - 0xDC00);
+                    }
+                    appendUtf8(out, code);
+                    break;
+                }
+                default: out += escape;
+            }
+        }
+        if (pos >= text.size()) fail("unterminated string");
+        pos++;
+        return out;
+    }
+};
+
+inline std::string quote(const std::string& value) {
+    std::string out = "\"";
+    for (unsigned char c : value) {
+        switch (c) {
+            case '"': out += "\\\""; break;
+            case '\\': out += "\\\\"; break;
+            case '\n': out += "\\n"; break;
+            case '\r': out += "\\r"; break;
+            case '\t': out += "\\t"; break;
+            default:
+                if (c < 0x20) {
+                    char buffer[8];
+                    std::snprintf(buffer, sizeof(buffer), "\\u%04x", c);
+                    out += buffer;
+                } else {
+                    out += static_cast<char>(c);
+                }
+        }
+    }
+    return out + "\"";
+}
+
+inline std::string formatNumber(double value) {
+    if (!std::isfinite(value)) return "null";
+    // 取能還原原值的最短表示
+    char buffer[32];
+    for (int precision = 15; precision <= 17; precision++) {
+        std::snprintf(buffer, sizeof(buffer), "%.*g", precision, value);
+        if (std::strtod(buffer, nullptr) == value) break;
+    }
+    return buffer;
+}
+
+// 解碼後的參數在整個呼叫期間保留 (參數可能是參考或指標)
+using Holder = std::vector<std::shared_ptr<void>>;
+
+template <class T> struct IsVector : std::false_type {};
+template <class T, class A> struct IsVector<std::vector<T, A>> : std::true_type {};
+
+template <class T> struct Decodable : std::bool_constant<std::is_arithmetic_v<T>> {};
+template <> struct Decodable<std::string> : std::true_type {};
+template <class T, class A> struct Decodable<std::vector<T, A>> : Decodable<T> {};
+template <class T> struct Decodable<T*> : Decodable<std::remove_cv_t<T>> {};
+
+template <class T> struct AlwaysFalse : std::false_type {};
+
+template <class T>
+T decode(const Json& json, Holder& held) {
+    if constexpr (std::is_same_v<T, bool>) {
+        if (json.type != Json::Bool) throw std::invalid_argument("expected a boolean");
+        return json.boolean;
+    } else if constexpr (std::is_same_v<T, char>) {
+        if (json.type != Json::String || json.text.size() != 1) throw std::invalid_argument("expected a one-character string");
+        return json.text[0];
+    } else if constexpr (std::is_integral_v<T>) {
+        if (json.type != Json::Number) throw std::invalid_argument("expected a number");
+        if constexpr (std::is_signed_v<T>) {
+            return static_cast<T>(std::stoll(json.text));
+        } else {
+            return static_cast<T>(std::stoull(json.text));
+        }
+    } else if constexpr (std::is_floating_point_v<T>) {
+        if (json.type != Json::Number) throw std::invalid_argument("expected a number");
+        return static_cast<T>(std::stod(json.text));
+    } else if constexpr (std::is_same_v<T, std::string>) {
+        if (json.type != Json::String) throw std::invalid_argument("expected a string");
+        return json.text;
+    } else if constexpr (IsVector<T>::value) {
+        if (json.type != Json::Array) throw std::invalid_argument("expected an array");
+        T out;
+        for (const auto& item : json.items) {
+            out.push_back(decode<typename T::value_type>(item, held));
+        }
+        return out;
+    } else if constexpr (std::is_pointer_v<T>) {
+        // C 的字串與陣列：內容存放在 held，長度由題目以另一個參數提供
+        using Element = std::remove_cv_t<std::remove_pointer_t<T>>;
+        if (json.type == Json::Null) return nullptr;
+        if constexpr (std::is_same_v<Element, char>) {
+            if (json.type != Json::String) throw std::invalid_argument("expected a string");
+            std::shared_ptr<char[]> chars(new char[json.text.size() + 1]);
+            std::copy(json.text.begin(), json.text.end(), chars.get());
+            chars[json.text.size()] = '\0';
+            held.push_back(chars);
+            return chars.get();
+        } else {
+            if (json.type != Json::Array) throw std::invalid_argument("expected an array");
+            std::shared_ptr<Element[]> elements(new Element[json.items.size() + 1]());
+            for (size_t i = 0; i < json.items.size(); i++) {
+                elements[i] = decode<Element>(json.items[i], held);
+            }
+            held.push_back(elements);
+            return elements.get();
+        }
+    } else {
+        static_assert(AlwaysFalse<T>::value, "unsupported parameter type");
+    }
+}
+
+// C 的陣列回傳值：長度由 returnSize 參數取得
+template <class T> struct Sized { T* data; int size; };
+
+template <class T> struct IsSized : std::false_type {};
+template <class T> struct IsSized<Sized<T>> : std::true_type {};
+
+template <class T>
+std::string encode(const T& value) {
+    if constexpr (std::is_same_v<T, std::nullptr_t>) {
+        return "null";
+    } else if constexpr (std::is_same_v<T, bool>) {
+        return value ? "true" : "false";
+    } else if constexpr (std::is_same_v<T, char>) {
+        return quote(std::string(1, value));
+    } else if constexpr (std::is_integral_v<T>) {
+        return std::to_string(value);
+    } else if constexpr (std::is_floating_point_v<T>) {
+        return formatNumber(value);
+    } else if constexpr (std::is_same_v<T, std::string>) {
+        return quote(value);
+    } else if constexpr (std::is_same_v<T, char*> || std::is_same_v<T, const char*>) {
+        return value ? quote(value) : "null";
+    } else if constexpr (IsVector<T>::value) {
+        std::string out = "[";
+        for (size_t i = 0; i < value.size(); i++) {
+            if (i > 0) out += ",";
+            out += encode(static_cast<typename T::value_type>(value[i]));
+        }
+        return out + "]";
+    } else if constexpr (std::is_pointer_v<T> && std::is_same_v<std::remove_cv_t<std::remove_pointer_t<T>>, char>) {
+        return value ? quote(value) : "null";
+    } else if constexpr (IsSized<T>::value) {
+        if (!value.data) return "null";
+        std::string out = "[";
+        for (int i = 0; i < value.size; i++) {
+            if (i > 0) out += ",";
+            out += encode(value.data[i]);
+        }
+        return out + "]";
+    } else if constexpr (std::is_pointer_v<T>) {
+        throw std::invalid_argument("cannot encode an array result without a returnSize parameter");
+    } else {
+        static_assert(AlwaysFalse<T>::value, "unsupported return type");
+    }
+}
+
+// 可轉換為任何支援的參數型別；被呼叫函式的參數型別決定如何解碼
+struct Arg {
+    const Json* json;
+    Holder* held;
+
+    template <class T, class U = std::remove_cv_t<T>, std::enable_if_t<Decodable<U>::value, int> = 0>
+    operator T&() const {
+        auto value = std::make_shared<U>(decode<U>(*json, *held));
+        held->push_back(value);
+        return *value;
+    }
+};
+
+// C 慣例的 int* returnSize：回傳陣列的長度
+struct ReturnSize {
+    int value = 0;
+    operator int*() { return &value; }
+};
+
+template <size_t> using ArgRef = Arg&;
+
+template <bool WithSize, class F, class Done, size_t... I>
+bool callWith(F& f, std::vector<Arg>& args, Done& done, std::index_sequence<I...>) {
+    if constexpr (std::is_invocable_v<F&, ArgRef<I>...>) {
+        using R = std::invoke_result_t<F&, ArgRef<I>...>;
+        if constexpr (std::is_void_v<R>) {
+            f(args[I]...);
+            done(nullptr);
+        } else {
+            done(f(args[I]...));
+        }
+        return true;
+    } else if constexpr (WithSize && std::is_invocable_v<F&, ArgRef<I>..., ReturnSize&>) {
+        using R = std::invoke_result_t<F&, ArgRef<I>..., ReturnSize&>;
+        ReturnSize size;
+        if constexpr (std::is_void_v<R>) {
+            f(args[I]..., size);
+            done(nullptr);
+        } else if constexpr (std::is_pointer_v<R>) {
+            R data = f(args[I]..., size);
+            done(Sized<std::remove_cv_t<std::remove_pointer_t<R>>>{const_cast<std::remove_cv_t<std::remove_pointer_t<R>>*>(data), size.value});
+        } else {
+            done(f(args[I]..., size));
+        }
+        return true;
+    } else {
+        return false;
+    }
+}
+
+// 以 JSON 陣列作為參數呼叫 f，回傳值 (void 為 nullptr) 交給 done
+// WithSize: 參數不符時再嘗試在最後加上 int* returnSize (C)
+template <bool WithSize = false, class F, class Done>
+void call(F& f, const Json& arguments, Done done) {
+    if (arguments.type != Json::Array) throw std::invalid_argument("arguments must be an array");
+    Holder held;
+    std::vector<Arg> args;
+    for (const auto& item : arguments.items) {
+        args.push_back(Arg{&item, &held});
+    }
+
+    bool called = false;
+    switch (args.size()) {
+        case 0: called = callWith<WithSize>(f, args, done, std::make_index_sequence<0>{}); break;
+        case 1: called = callWith<WithSize>(f, args, done, std::make_index_sequence<1>{}); break;
+        case 2: called = callWith<WithSize>(f, args, done, std::make_index_sequence<2>{}); break;
+        case 3: called = callWith<WithSize>(f, args, done, std::make_index_sequence<3>{}); break;
+        case 4: called = callWith<WithSize>(f, args, done, std::make_index_sequence<4>{}); break;
+        case 5: called = callWith<WithSize>(f, args, done, std::make_index_sequence<5>{}); break;
+        case 6: called = callWith<WithSize>(f, args, done, std::make_index_sequence<6>{}); break;
+        case 7: called = callWith<WithSize>(f, args, done, std::make_index_sequence<7>{}); break;
+        case 8: called = callWith<WithSize>(f, args, done, std::make_index_sequence<8>{}); break;
+        default: throw std::invalid_argument("at most 8 arguments are supported");
+    }
+    if (!called) {
+        throw std::invalid_argument("no matching call with " + std::to_string(args.size()) + " argument(s)");
+    }
+}
+
+inline std::string typeName(const std::type_info& type) {
+    int status = 0;
+    char* name = abi::__cxa_demangle(type.name(), nullptr, nullptr, &status);
+    std::string result = status == 0 && name ? name : type.name();
+    std::free(name);
+    return result;
+}
+
+}  // namespace judge
+
+{{BINDINGS}}
+
+#ifdef JUDGE_RETURN_SIZE
+constexpr bool judgeReturnSize = true;
+#else
+constexpr bool judgeReturnSize = false;
+#endif
+
+#ifdef JUDGE_METHODS
+// operations：以第一個操作建立物件，依序呼叫其餘方法，回傳每個操作的輸出 (建立物件為 null)
+#ifdef JUDGE_CREATE
+#define JUDGE_MEMBER(method) method(object, a...)
+#else
+#define JUDGE_MEMBER(method) object->method(a...)
+#endif
+#define JUDGE_DISPATCH(name, method) \
+    if (operation == #name) { \
+        auto f = [&](auto&... a) -> decltype(JUDGE_MEMBER(method)) { return JUDGE_MEMBER(method); }; \
+        judge::call(f, arguments[i], append); \
+        continue; \
+    }
+
+std::string judgeRun(const judge::Json& input) {
+    const auto& operations = input.at("operations").items;
+    const auto& arguments = input.at("arguments").items;
+    if (operations.empty() || operations.size() != arguments.size()) {
+        throw std::invalid_argument("operations and arguments must be non-empty and of equal length");
+    }
+
+#ifdef JUDGE_CREATE
+    JUDGE_CLASS* object = nullptr;
+    auto create = [](auto&... a) -> decltype(JUDGE_CREATE(a...)) { return JUDGE_CREATE(a...); };
+    judge::call(create, arguments[0], [&](auto created) { object = created; });
+#else
+    std::unique_ptr<JUDGE_CLASS> object;
+    auto create = [](auto&... a) -> decltype(new JUDGE_CLASS(a...)) { return new JUDGE_CLASS(a...); };
+    judge::call(create, arguments[0], [&](auto created) { object.reset(created); });
+#endif
+
+    std::string out = "[null";
+    auto append = [&](const auto& result) { out += ","; out += judge::encode(result); };
+    for (size_t i = 1; i < operations.size(); i++) {
+        const std::string& operation = operations[i].text;
+        JUDGE_METHODS(JUDGE_DISPATCH)
+        throw std::invalid_argument("unknown operation " + operation);
+    }
+    return out + "]";
+}
+#else
+// arguments：input 為參數列表；指定類別時每個案例建立新的物件再呼叫其方法
+std::string judgeRun(const judge::Json& input) {
+    std::string out;
+    auto done = [&](const auto& result) { out = judge::encode(result); };
+#ifdef JUDGE_CLASS
+    JUDGE_CLASS object;
+    auto f = [&](auto&... a) -> decltype(object.JUDGE_FUNCTION(a...)) { return object.JUDGE_FUNCTION(a...); };
+#else
+    auto f = [](auto&... a) -> decltype(JUDGE_FUNCTION(a...)) { return JUDGE_FUNCTION(a...); };
+#endif
+    judge::call<judgeReturnSize>(f, input, done);
+    return out;
+}
+#endif
+
+int main(int argc, char** argv) {
+    // 測試案例由 Runner 寫入同目錄的 testcases.json；分組執行時以參數指定該組的測試案例檔
+    std::ifstream file(argc > 1 ? argv[1] : "testcases.json");
+    std::stringstream content;
+    content << file.rdbuf();
+    judge::Json testCases = judge::Parser(content.str()).parse();
+
+    auto totalStart = std::chrono::steady_clock::now();
+    for (size_t i = 0; i < testCases.items.size(); i++) {
+        std::string line = "{\"type\":\"test_result\",\"data\":{\"id\":" + std::to_string(i + 1);
+        try {
+            auto start = std::chrono::steady_clock::now();
+            std::string actual = judgeRun(testCases.items[i].at("input"));
+            std::chrono::duration<double, std::milli> elapsed = std::chrono::steady_clock::now() - start;
+            line += ",\"status\":\"completed\",\"actual\":" + actual +
+                ",\"time\":" + judge::formatNumber(std::round(elapsed.count() * 100) / 100) + ",\"error\":null}}";
+        } catch (const std::bad_alloc& e) {
+            // 記憶體配置失敗由 Runner 判為 MLE
+            line += ",\"status\":\"memory_limit\",\"error\":{\"type\":\"std::bad_alloc\",\"message\":" + judge::quote(e.what()) + "}}}";
+        } catch (const std::exception& e) {
+            line += ",\"status\":\"error\",\"error\":{\"type\":" + judge::quote(judge::typeName(typeid(e))) +
+                ",\"message\":" + judge::quote(e.what()) + "}}";
+        } catch (...) {
+            line += ",\"status\":\"error\",\"error\":{\"type\":\"unknown\",\"message\":\"non-standard exception\"}}";
+        }
+        std::cout << line << std::endl;
+    }
+
+    std::chrono::duration<double, std::milli> total = std::chrono::steady_clock::now() - totalStart;
+    std::cout << "{\"type\":\"final_result\",\"data\":{\"total\":" << testCases.items.size()
+              << ",\"execution_time\":" << judge::formatNumber(std::round(total.count() * 100) / 100) << "}}" << std::endl;
+    return 0;
+}
+`,
+
+    go: String.raw`
+package main
+
+// 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+// 參數依被呼叫函式的參數型別以 reflect 從 JSON 轉換；byte / rune 接受單一字元的字串 (例如 [][]byte 棋盤)
+// 呼叫的函式、型別與方法由 Runner 產生的 bindings (init) 指定
+
+import (
+	"encoding/json"
+	"fmt"
+	"math"
+	"os"
+	"reflect"
+	"time"
+)
+
+var (
+	judgeFunction    reflect.Value            // 函式或方法 (方法時第一個參數為接收者)
+	judgeReceiver    func() reflect.Value     // 指定型別時為每個案例建立新的接收者
+	judgeConstructor reflect.Value            // operations 的建構函式
+	judgeMethods     map[string]reflect.Value // operations 的方法
+)
+
+{{BINDINGS}}
+
+func judgeDecode(raw json.RawMessage, t reflect.Type) (reflect.Value, error) {
+	value := reflect.New(t).Elem()
+	switch t.Kind() {
+	case reflect.Uint8, reflect.Int32:
+		var text string
+		if json.Unmarshal(raw, &text) == nil {
+			runes := []rune(text)
+			if len(runes) != 1 {
+				return value, fmt.Errorf("expected a one-character string, got %q", text)
+			}
+			if t.Kind() == reflect.Uint8 {
+				value.SetUint(uint64(runes[0]))
+			} else {
+				value.SetInt(int64(runes[0]))
+			}
+			return value, nil
+		}
+	case reflect.Slice:
+		var items []json.RawMessage
+		if err := json.Unmarshal(raw, &items); err != nil {
+			return value, err
+		}
+		if items == nil {
+			return value, nil
+		}
+		slice := reflect.MakeSlice(t, len(items), len(items))
+		for i, item := range items {
+			element, err := judgeDecode(item, t.Elem())
+			if err != nil {
+				return value, err
+			}
+			slice.Index(i).Set(element)
+		}
+		return slice, nil
+	}
+	err := json.Unmarshal(raw, value.Addr().Interface())
+	return value, err
+}
+
+func judgeEncode(value reflect.Value) interface{} {
+	switch value.Kind() {
+	case reflect.Uint8:
+		return string(rune(value.Uint()))
+	case reflect.Float32, reflect.Float64:
+		if f := value.Float(); math.IsNaN(f) || math.IsInf(f, 0) {
+			return nil
+		}
+	case reflect.Slice, reflect.Array:
+		if value.Kind() == reflect.Slice && value.IsNil() {
+			return nil
+		}
+		items := make([]interface{}, value.Len())
+		for i := range items {
+			items[i] = judgeEncode(value.Index(i))
+		}
+		return items
+	case reflect.Ptr, reflect.Interface:
+		if value.IsNil() {
+			return nil
+		}
+		return judgeEncode(value.Elem())
+	}
+	return value.Interface()
+}
+
+// 以 JSON 參數呼叫 fn；receiver 有效時作為第一個參數 (方法運算式)
+func judgeCall(fn reflect.Value, receiver reflect.Value, raw []json.RawMessage) ([]reflect.Value, error) {
+	fnType := fn.Type()
+	var args []reflect.Value
+	if receiver.IsValid() {
+		args = append(args, receiver)
+	}
+	if fnType.NumIn()-len(args) != len(raw) {
+		return nil, fmt.Errorf("expected %d arguments, got %d", fnType.NumIn()-len(args), len(raw))
+	}
+	for _, item := range raw {
+		arg, err := judgeDecode(item, fnType.In(len(args)))
+		if err != nil {
+			return nil, fmt.Errorf("argument %d: %v", len(args)+1, err)
+		}
+		args = append(args, arg)
+	}
+	return fn.Call(args), nil
+}
+
+func judgeResult(out []reflect.Value) interface{} {
+	switch len(out) {
+	case 0:
+		return nil
+	case 1:
+		return judgeEncode(out[0])
+	}
+	items := make([]interface{}, len(out))
+	for i, value := range out {
+		items[i] = judgeEncode(value)
+	}
+	return items
+}
+
+func judgeRun(input json.RawMessage) (interface{}, error) {
+	if judgeConstructor.IsValid() {
+		// operations：以第一個操作建立物件，依序呼叫其餘方法，回傳每個操作的輸出 (建立物件為 null)
+		// encoding/json 的欄位名稱不分大小寫
+		var design struct {
+			Operations []string
+			Arguments  [][]json.RawMessage
+		}
+		if err := json.Unmarshal(input, &design); err != nil {
+			return nil, err
+		}
+		if len(design.Operations) == 0 || len(design.Operations) != len(design.Arguments) {
+			return nil, fmt.Errorf("operations and arguments must be non-empty and of equal length")
+		}
+		created, err := judgeCall(judgeConstructor, reflect.Value{}, design.Arguments[0])
+		if err != nil {
+			return nil, err
+		}
+		object := created[0]
+		if object.Kind() != reflect.Ptr {
+			pointer := reflect.New(object.Type())
+			pointer.Elem().Set(object)
+			object = pointer
+		}
+		outputs := []interface{}{nil}
+		for i := 1; i < len(design.Operations); i++ {
+			method, ok := judgeMethods[design.Operations[i]]
+			if !ok {
+				return nil, fmt.Errorf("unknown operation %s", design.Operations[i])
+			}
+			out, err := judgeCall(method, object, design.Arguments[i])
+			if err != nil {
+				return nil, err
+			}
+			outputs = append(outputs, judgeResult(out))
+		}
+		return outputs, nil
+	}
+
+	var raw []json.RawMessage
+	if err := json.Unmarshal(input, &raw); err != nil {
+		return nil, err
+	}
+	var receiver reflect.Value
+	if judgeReceiver != nil {
+		receiver = judgeReceiver()
+	}
+	out, err := judgeCall(judgeFunction, receiver, raw)
+	if err != nil {
+		return nil, err
+	}
+	return judgeResult(out), nil
+}
+
+func judgeRunCase(id int, input json.RawMessage) (result map[string]interface{}) {
+	result = map[string]interface{}{"id": id, "status": "error"}
+	defer func() {
+		if recovered := recover(); recovered != nil {
+			result["error"] = map[string]string{"type": "panic", "message": fmt.Sprint(recovered)}
+		}
+	}()
+	start := time.Now()
+	actual, err := judgeRun(input)
+	if err != nil {
+		result["error"] = map[string]string{"type": fmt.Sprintf("%T", err), "message": err.Error()}
+		return result
+	}
+	result["status"] = "completed"
+	result["actual"] = actual
+	result["time"] = math.Round(float64(time.Since(start).Microseconds())/10) / 100
+	result["error"] = nil
+	return result
+}
+
+func judgePrint(kind string, data interface{}) error {
+	encoded, err := json.Marshal(data)
+	if err != nil {
+		return err
+	}
+	fmt.Println("{\"type\":\"" + kind + "\",\"data\":" + string(encoded) + "}")
+	return nil
+}
+
+func main() {
+	// 測試案例由 Runner 寫入同目錄的 testcases.json；分組執行時以參數指定該組的測試案例檔
+	file := "testcases.json"
+	if len(os.Args) > 1 {
+		file = os.Args[1]
+	}
+	content, err := os.ReadFile(file)
+	if err != nil {
+		fmt.Fprintln(os.Stderr, err)
+		os.Exit(1)
+	}
+	var testCases []struct {
+		Input json.RawMessage
+	}
+	if err := json.Unmarshal(content, &testCases); err != nil {
+		fmt.Fprintln(os.Stderr, err)
+		os.Exit(1)
+	}
+
+	totalStart := time.Now()
+	for i, testCase := range testCases {
+		if err := judgePrint("test_result", judgeRunCase(i+1, testCase.Input)); err != nil {
+			judgePrint("test_result", map[string]interface{}{"id": i + 1, "status": "error", "error": map[string]string{"type": "encoding", "message": err.Error()}})
+		}
+	}
+	judgePrint("final_result", map[string]interface{}{
+		"total":          len(testCases),
+		"execution_time": math.Round(float64(time.Since(totalStart).Microseconds())/10) / 100,
+	})
+}
+`,
+
+    rust: String.raw`
+// 結果比對由 Runner 依 task.comparator 進行，harness 只回報實際輸出
+// 參數依被呼叫函式的參數型別 (judge::FromJson) 從 JSON 轉換；呼叫的函式、型別與方法由 Runner 產生的 bindings 指定
+#![allow(dead_code, unused_imports, unused_mut, unused_variables, non_snake_case)]
+
+{{BINDINGS}}
+
+mod judge {
+    use std::fmt::Write;
+
+    #[derive(Debug, Clone)]
+    pub enum Json {
+        Null,
+        Bool(bool),
+        Number(String), // 保留原始文字，依參數型別解析
+        Str(String),
+        Array(Vec<Json>),
+        Object(Vec<(String, Json)>),
+    }
+
+    impl Json {
+        pub fn parse(text: &str) -> Result<Json, String> {
+            let mut parser = Parser { chars: text.chars().collect(), pos: 0 };
+            let value = parser.value()?;
+            parser.skip_space();
+            if parser.pos != parser.chars.len() {
+                return Err(format!("invalid JSON at {}: unexpected trailing characters", parser.pos));
+            }
+            Ok(value)
+        }
+
+        pub fn get(&self, key: &str) -> Result<&Json, String> {
+            if let Json::Object(fields) = self {
+                if let Some((_, value)) = fields.iter().find(|(name, _)| name == key) {
+                    return Ok(value);
+                }
+            }
+            Err(format!("missing field {}", key))
+        }
+
+        pub fn items(&self) -> Result<&Vec<Json>, String> {
+            match self {
+                Json::Array(items) => Ok(items),
+                _ => Err("expected an array".to_string()),
+            }
+        }
+
+        pub fn encode(&self, out: &mut String) {
+            match self {
+                Json::Null => out.push_str("null"),
+                Json::Bool(value) => out.push_str(if *value { "true" } else { "false" }),
+                Json::Number(text) => out.push_str(text),
+                Json::Str(text) => quote(text, out),
+                Json::Array(items) => {
+                    out.push('[');
+                    for (i, item) in items.iter().enumerate() {
+                        if i > 0 {
+                            out.push(',');
+                        }
+                        item.encode(out);
+                    }
+                    out.push(']');
+                }
+                Json::Object(fields) => {
+                    out.push('{');
+                    for (i, (key, value)) in fields.iter().enumerate() {
+                        if i > 0 {
+                            out.push(',');
+                        }
+                        quote(key, out);
+                        out.push(':');
+                        value.encode(out);
+                    }
+                    out.push('}');
+                }
+            }
+        }
+    }
+
+    pub fn quote(text: &str, out: &mut String) {
+        out.push('"');
+        for c in text.chars() {
+            match c {
+                '"' => out.push_str("\\\""),
+                '\\' => out.push_str("\\\\"),
+                '\n' => out.push_str("\\n"),
+                '\r' => out.push_str("\\r"),
+                '\t' => out.push_str("\\t"),
+                c if (c as u32) < 0x20 => {
+                    let _ = write!(out, "\\u{:04x}", c as u32);
+                }
+                c => out.push(c),
+            }
+        }
+        out.push('"');
+    }
+
+    struct Parser {
+        chars: Vec<char>,
+        pos: usize,
+    }
+
+    impl Parser {
+        fn fail<T>(&self, message: &str) -> Result<T, String> {
+            Err(format!("invalid JSON at {}: {}", self.pos, message))
+        }
+
+        fn peek(&self) -> Option<char> {
+            self.chars.get(self.pos).copied()
+        }
+
+        fn skip_space(&mut self) {
+            while matches!(self.peek(), Some(c) if c.is_whitespace()) {
+                self.pos += 1;
+            }
+        }
+
+        fn consume(&mut self, literal: &str) -> bool {
+            let end = self.pos + literal.chars().count();
+            if end <= self.chars.len() && self.chars[self.pos..end].iter().copied().eq(literal.chars()) {
+                self.pos = end;
+                return true;
+            }
+            false
+        }
+
+        fn value(&mut self) -> Result<Json, String> {
+            self.skip_space();
+            match self.peek() {
+                None => self.fail("unexpected end"),
+                Some('{') => {
+                    self.pos += 1;
+                    let mut fields = Vec::new();
+                    self.skip_space();
+                    if self.consume("}") {
+                        return Ok(Json::Object(fields));
+                    }
+                    loop {
+                        self.skip_space();
+                        if self.peek() != Some('"') {
+                            return self.fail("expected key");
+                        }
+                        let key = self.string()?;
+                        self.skip_space();
+                        if !self.consume(":") {
+                            return self.fail("expected ':'");
+                        }
+                        fields.push((key, self.value()?));
+                        self.skip_space();
+                        if self.consume(",") {
+                            continue;
+                        }
+                        if self.consume("}") {
+                            return Ok(Json::Object(fields));
+                        }
+                        return self.fail("expected ',' or '}'");
+                    }
+                }
+                Some('[') => {
+                    self.pos += 1;
+                    let mut items = Vec::new();
+                    self.skip_space();
+                    if self.consume("]") {
+                        return Ok(Json::Array(items));
+                    }
+                    loop {
+                        items.push(self.value()?);
+                        self.skip_space();
+                        if self.consume(",") {
+                            continue;
+                        }
+                        if self.consume("]") {
+                            return Ok(Json::Array(items));
+                        }
+                        return self.fail("expected ',' or ']'");
+                    }
+                }
+                Some('"') => Ok(Json::Str(self.string()?)),
+                Some(_) => {
+                    if self.consume("true") {
+                        return Ok(Json::Bool(true));
+                    }
+                    if self.consume("false") {
+                        return Ok(Json::Bool(false));
+                    }
+                    if self.consume("null") {
+                        return Ok(Json::Null);
+                    }
+                    let start = self.pos;
+                    while matches!(self.peek(), Some(c) if "+-0123456789.eE".contains(c)) {
+                        self.pos += 1;
+                    }
+                    if start == self.pos {
+                        return self.fail("unexpected character");
+                    }
+                    Ok(Json::Number(self.chars[start..self.pos].iter().collect()))
+                }
+            }
+        }
+
+        fn hex(&mut self) -> Result<u32, String> {
+            let end = self.pos + 4;
+            if end > self.chars.len() {
+                return self.fail("invalid escape");
+            }
+            let digits: String = self.chars[self.pos..end].iter().collect();
+            self.pos = end;
+            u32::from_str_radix(&digits, 16).or_else(|_| self.fail("invalid escape"))
+        }
+
+        fn string(&mut self) -> Result<String, String> {
+            let mut out = String::new();
+            self.pos += 1;
+            loop {
+                let c = match self.peek() {
+                    None => return self.fail("unterminated string"),
+                    Some(c) => c,
+                };
+                self.pos += 1;
+                match c {
+                    '"' => return Ok(out),
+                    '\\' => {
+                        let escape = match self.peek() {
+                            None => return self.fail("invalid escape"),
+                            Some(e) => e,
+                        };
+                        self.pos += 1;
+                        match escape {
+                            'n' => out.push('\n'),
+                            't' => out.push('\t'),
+                            'r' => out.push('\r'),
+                            'b' => out.push('\u{8}'),
+                            'f' => out.push('\u{c}'),
+                            'u' => {
+                                let mut code = self.hex()?;
+                                if (0xD800..0xDC00).contains(&code) && self.consume("\\u") {
+                                    code = 0x10000 + ((code - 0xD800) << 10) + (self.hex()? - 0xDC00);
+                                }
+                                out.push(char::from_u32(code).unwrap_or('\u{FFFD}'));
+                            }
+                            other => out.push(other),
+                        }
+                    }
+                    c => out.push(c),
+                }
+            }
+        }
+    }
+
+    pub trait FromJson: Sized {
+        fn from_json(json: &Json) -> Result<Self, String>;
+    }
+
+    pub trait ToJson {
+        fn to_json(&self) -> Json;
+    }
+
+    macro_rules! judge_numbers {
+        ($($t:ty),*) => {$(
+            impl FromJson for $t {
+                fn from_json(json: &Json) -> Result<Self, String> {
+                    match json {
+                        Json::Number(text) => text.parse::<$t>().map_err(|e| format!("invalid {} {}: {}", stringify!($t), text, e)),
+                        _ => Err(format!("expected a number for {}", stringify!($t))),
+                    }
+                }
+            }
+            impl ToJson for $t {
+                fn to_json(&self) -> Json {
+                    Json::Number(self.to_string())
+                }
+            }
+        )*};
+    }
+    judge_numbers!(i8, i16, i32, i64, i128, isize, u8, u16, u32, u64, u128, usize);
+
+    macro_rules! judge_floats {
+        ($($t:ty),*) => {$(
+            impl FromJson for $t {
+                fn from_json(json: &Json) -> Result<Self, String> {
+                    match json {
+                        Json::Number(text) => text.parse::<$t>().map_err(|e| format!("invalid {} {}: {}", stringify!($t), text, e)),
+                        _ => Err(format!("expected a number for {}", stringify!($t))),
+                    }
+                }
+            }
+            impl ToJson for $t {
+                fn to_json(&self) -> Json {
+                    // NaN / Infinity 不是合法的 JSON
+                    if self.is_finite() { Json::Number(self.to_string()) } else { Json::Null }
+                }
+            }
+        )*};
+    }
+    judge_floats!(f32, f64);
+
+    impl FromJson for bool {
+        fn from_json(json: &Json) -> Result<Self, String> {
+            match json {
+                Json::Bool(value) => Ok(*value),
+                _ => Err("expected a boolean".to_string()),
+            }
+        }
+    }
+
+    impl ToJson for bool {
+        fn to_json(&self) -> Json {
+            Json::Bool(*self)
+        }
+    }
+
+    impl FromJson for String {
+        fn from_json(json: &Json) -> Result<Self, String> {
+            match json {
+                Json::Str(text) => Ok(text.clone()),
+                _ => Err("expected a string".to_string()),
+            }
+        }
+    }
+
+    impl ToJson for String {
+        fn to_json(&self) -> Json {
+            Json::Str(self.clone())
+        }
+    }
+
+    impl ToJson for &str {
+        fn to_json(&self) -> Json {
+            Json::Str(self.to_string())
+        }
+    }
+
+    impl FromJson for char {
+        fn from_json(json: &Json) -> Result<Self, String> {
+            match json {
+                Json::Str(text) if text.chars().count() == 1 => Ok(text.chars().next().unwrap()),
+                _ => Err("expected a one-character string".to_string()),
+            }
+        }
+    }
+
+    impl ToJson for char {
+        fn to_json(&self) -> Json {
+            Json::Str(self.to_string())
+        }
+    }
+
+    impl<T: FromJson> FromJson for Vec<T> {
+        fn from_json(json: &Json) -> Result<Self, String> {
+            json.items()?.iter().map(T::from_json).collect()
+        }
+    }
+
+    impl<T: ToJson> ToJson for Vec<T> {
+        fn to_json(&self) -> Json {
+            Json::Array(self.iter().map(ToJson::to_json).collect())
+        }
+    }
+
+    impl<T: FromJson> FromJson for Option<T> {
+        fn from_json(json: &Json) -> Result<Self, String> {
+            match json {
+                Json::Null => Ok(None),
+                _ => T::from_json(json).map(Some),
+            }
+        }
+    }
+
+    impl<T: ToJson> ToJson for Option<T> {
+        fn to_json(&self) -> Json {
+            match self {
+                Some(value) => value.to_json(),
+                None => Json::Null,
+            }
+        }
+    }
+
+    impl ToJson for () {
+        fn to_json(&self) -> Json {
+            Json::Null
+        }
+    }
+
+    fn expect_arguments(arguments: &[Json], count: usize) -> Result<(), String> {
+        if arguments.len() != count {
+            return Err(format!("expected {} arguments, got {}", count, arguments.len()));
+        }
+        Ok(())
+    }
+
+    // 以 JSON 參數呼叫函式 (Args 為參數型別的 tuple，由編譯器依函式簽章推斷)
+    pub trait Invoke<Args> {
+        type Output;
+        fn invoke(&self, arguments: &[Json]) -> Result<Self::Output, String>;
+    }
+
+    // 以 JSON 參數呼叫方法；Kind 區分 &self 與 &mut self
+    pub struct Shared;
+    pub struct Exclusive;
+
+    pub trait InvokeMethod<T, Kind, Args> {
+        type Output;
+        fn invoke_method(&self, target: &mut T, arguments: &[Json]) -> Result<Self::Output, String>;
+    }
+
+    macro_rules! judge_invoke {
+        ($($a:ident),*) => {
+            impl<Func, Out, $($a: FromJson),*> Invoke<($($a,)*)> for Func where Func: Fn($($a),*) -> Out {
+                type Output = Out;
+                fn invoke(&self, arguments: &[Json]) -> Result<Out, String> {
+                    expect_arguments(arguments, 0 $(+ { let _ = stringify!($a); 1 })*)?;
+                    let mut next = arguments.iter();
+                    Ok(self($($a::from_json(next.next().unwrap())?),*))
+                }
+            }
+
+            impl<Func, Target, Out, $($a: FromJson),*> InvokeMethod<Target, Exclusive, ($($a,)*)> for Func
+            where Func: Fn(&mut Target, $($a),*) -> Out {
+                type Output = Out;
+                fn invoke_method(&self, target: &mut Target, arguments: &[Json]) -> Result<Out, String> {
+                    expect_arguments(arguments, 0 $(+ { let _ = stringify!($a); 1 })*)?;
+                    let mut next = arguments.iter();
+                    Ok(self(target, $($a::from_json(next.next().unwrap())?),*))
+                }
+            }
+
+            impl<Func, Target, Out, $($a: FromJson),*> InvokeMethod<Target, Shared, ($($a,)*)> for Func
+            where Func: Fn(&Target, $($a),*) -> Out {
+                type Output = Out;
+                fn invoke_method(&self, target: &mut Target, arguments: &[Json]) -> Result<Out, String> {
+                    expect_arguments(arguments, 0 $(+ { let _ = stringify!($a); 1 })*)?;
+                    let mut next = arguments.iter();
+                    Ok(self(target, $($a::from_json(next.next().unwrap())?),*))
+                }
+            }
+        };
+    }
+    judge_invoke!();
+    judge_invoke!(A);
+    judge_invoke!(A, B);
+    judge_invoke!(A, B, C);
+    judge_invoke!(A, B, C, D);
+    judge_invoke!(A, B, C, D, E);
+    judge_invoke!(A, B, C, D, E, F);
+    judge_invoke!(A, B, C, D, E, F, G);
+    judge_invoke!(A, B, C, D, E, F, G, H);
+
+    pub fn call<Args, Func>(function: &Func, arguments: &Json) -> Result<Json, String>
+    where Func: Invoke<Args>, Func::Output: ToJson {
+        Ok(function.invoke(arguments.items()?)?.to_json())
+    }
+
+    pub fn construct<Args, Func>(function: &Func, arguments: &Json) -> Result<Func::Output, String>
+    where Func: Invoke<Args> {
+        function.invoke(arguments.items()?)
+    }
+
+    pub fn call_method<T, Kind, Args, Func>(function: &Func, target: &mut T, arguments: &Json) -> Result<Json, String>
+    where Func: InvokeMethod<T, Kind, Args>, Func::Output: ToJson {
+        Ok(function.invoke_method(target, arguments.items()?)?.to_json())
+    }
+
+    // operations：檢查長度並取出操作名稱與參數
+    pub fn operations(input: &Json) -> Result<(Vec<String>, &Vec<Json>), String> {
+        let operations = input.get("operations")?.items()?;
+        let arguments = input.get("arguments")?.items()?;
+        if operations.is_empty() || operations.len() != arguments.len() {
+            return Err("operations and arguments must be non-empty and of equal length".to_string());
+        }
+        let names = operations.iter().map(String::from_json).collect::<Result<Vec<_>, _>>()?;
+        Ok((names, arguments))
+    }
+
+    pub fn milliseconds(duration: std::time::Duration) -> Json {
+        let value = (duration.as_secs_f64() * 100_000.0).round() / 100.0;
+        value.to_json()
+    }
+}
+
+fn main() {
+    use judge::{Json, ToJson};
+    use std::cell::RefCell;
+    use std::time::Instant;
+
+    // 測試案例由 Runner 寫入同目錄的 testcases.json；分組執行時以參數指定該組的測試案例檔
+    let file = std::env::args().nth(1).unwrap_or_else(|| "testcases.json".to_string());
+    let content = std::fs::read_to_string(&file).unwrap_or_else(|e| panic!("{}: {}", file, e));
+    let test_cases = match Json::parse(&content) {
+        Ok(Json::Array(items)) => items,
+        Ok(_) => panic!("test cases must be an array"),
+        Err(e) => panic!("{}", e),
+    };
+
+    // panic 訊息記錄為案例錯誤，不輸出到 stderr
+    thread_local!(static PANIC: RefCell<Option<String>> = RefCell::new(None));
+    std::panic::set_hook(Box::new(|info| {
+        let message = info.payload().downcast_ref::<&str>().map(|s| s.to_string())
+            .or_else(|| info.payload().downcast_ref::<String>().cloned())
+            .unwrap_or_else(|| "panic".to_string());
+        PANIC.with(|slot| *slot.borrow_mut() = Some(message));
+    }));
+
+    let total_start = Instant::now();
+    for (index, test_case) in test_cases.iter().enumerate() {
+        let mut fields = vec![("id".to_string(), (index + 1).to_json())];
+        let start = Instant::now();
+        let outcome = std::panic::catch_unwind(std::panic::AssertUnwindSafe(|| {
+            test_case.get("input").and_then(judge_run)
+        }));
+        let error = match outcome {
+            Ok(Ok(actual)) => {
+                fields.push(("status".to_string(), "completed".to_json()));
+                fields.push(("actual".to_string(), actual));
+                fields.push(("time".to_string(), judge::milliseconds(start.elapsed())));
+                Json::Null
+            }
+            Ok(Err(message)) => {
+                fields.push(("status".to_string(), "error".to_json()));
+                Json::Object(vec![("type".to_string(), "error".to_json()), ("message".to_string(), message.to_json())])
+            }
+            Err(_) => {
+                let message = PANIC.with(|slot| slot.borrow_mut().take()).unwrap_or_else(|| "panic".to_string());
+                fields.push(("status".to_string(), "error".to_json()));
+                Json::Object(vec![("type".to_string(), "panic".to_json()), ("message".to_string(), message.to_json())])
+            }
+        };
+        fields.push(("error".to_string(), error));
+
+        let mut line = String::new();
+        Json::Object(vec![("type".to_string(), "test_result".to_json()), ("data".to_string(), Json::Object(fields))]).encode(&mut line);
+        println!("{}", line);
+    }
+
+    let mut line = String::new();
+    Json::Object(vec![
+        ("type".to_string(), "final_result".to_json()),
+        ("data".to_string(), Json::Object(vec![
+            ("total".to_string(), test_cases.len().to_json()),
+            ("execution_time".to_string(), judge::milliseconds(total_start.elapsed())),
+        ])),
+    ]).encode(&mut line);
+    println!("{}", line);
+}
 `
-};
\ No newline at end of file
+};
+
+// TypeScript 與 JavaScript 共用 harness，入口檔 (solution.ts) 由 harness.json 指定
+testTemplates.typescript = testTemplates.javascript;
+
+// C 以 C++ 編譯 (見 config.js)，與 C++ 共用 harness
+testTemplates.c = testTemplates.cpp;
+
+// 編譯式語言的識別字與 include 的入口檔路徑 (寫入原始碼，只接受安全的字元)
+const NATIVE_IDENTIFIER = /^[A-Za-z_]\w*$/;
+const INCLUDE_PATH = /^[\w./-]+$/;
+
+const upperFirst = name => name[0].toUpperCase() + name.slice(1);
+const lowerFirst = name => name[0].toLowerCase() + name.slice(1);
+const snakeCase = name => name.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+
+function nativeName(value, field) {
+    if (!NATIVE_IDENTIFIER.test(value)) {
+        throw new TypeError(`${field} ${JSON.stringify(value)} is not a valid identifier for this language`);
+    }
+    return value;
+}
+
+// 呼叫對象：arguments 為 { function, className }，operations 為 { className, methods }
+// operations 的類別與 JS harness 相同 (className，否則第一個操作)，所有案例必須相同
+function resolveTarget(harness, testCases) {
+    if (!INCLUDE_PATH.test(harness.entry)) {
+        throw new TypeError(`Entry path ${JSON.stringify(harness.entry)} cannot be included by the harness`);
+    }
+    if (harness.testFormat !== 'operations') {
+        return {
+            function: nativeName(harness.function, 'task.function'),
+            className: harness.className ? nativeName(harness.className, 'task.className') : null
+        };
+    }
+
+    const classes = new Set(testCases.map(testCase => harness.className || testCase.input.operations[0]));
+    if (classes.size !== 1) {
+        throw new TypeError(`All test cases must construct the same class (got ${[...classes].join(', ') || 'none'})`);
+    }
+    const methods = new Set(testCases.flatMap(testCase => testCase.input.operations.slice(1)));
+    return {
+        className: nativeName([...classes][0], 'Class name'),
+        methods: [...methods].map(method => nativeName(method, 'Operation'))
+    };
+}
+
+// harness (harness.json 的內容) 與全部測試案例 -> 取代 {{BINDINGS}} 的程式碼
+export const harnessBindings = {
+    cpp: (harness, testCases) => {
+        const { function: fn, className, methods } = resolveTarget(harness, testCases);
+        return [
+            // 與 LeetCode 相同，提交的程式碼可直接使用標準函式庫
+            '#include <bits/stdc++.h>',
+            'using namespace std;',
+            `#include "${harness.entry}"`,
+            ...className ? [`#define JUDGE_CLASS ${className}`] : [],
+            methods
+                ? `#define JUDGE_METHODS(M) ${methods.map(method => `M(${method}, ${method})`).join(' ')}`
+                : `#define JUDGE_FUNCTION ${fn}`
+        ].join('\n');
+    },
+
+    // LeetCode 的 C 慣例：陣列回傳值以最後的 int* returnSize 取得長度，
+    // 類別 LRUCache 以 lRUCacheCreate 建立、方法 get 為 lRUCacheGet(obj, ...)
+    c: (harness, testCases) => {
+        const { function: fn, className, methods } = resolveTarget(harness, testCases);
+        if (className && !methods) {
+            throw new TypeError('task.className is not supported for C');
+        }
+        const lines = [
+            '#include <ctype.h>',
+            '#include <limits.h>',
+            '#include <math.h>',
+            '#include <stdbool.h>',
+            '#include <stdio.h>',
+            '#include <stdlib.h>',
+            '#include <string.h>',
+            '#define restrict __restrict__',
+            `#include "${harness.entry}"`,
+            '#undef restrict'
+        ];
+        if (methods) {
+            const prefix = lowerFirst(className);
+            lines.push(
+                `#define JUDGE_CLASS ${className}`,
+                `#define JUDGE_CREATE ${prefix}Create`,
+                `#define JUDGE_METHODS(M) ${methods.map(method => `M(${method}, ${prefix}${upperFirst(method)})`).join(' ')}`
+            );
+        } else {
+            lines.push('#define JUDGE_RETURN_SIZE', `#define JUDGE_FUNCTION ${fn}`);
+        }
+        return lines.join('\n');
+    },
+
+    // 與提交的程式碼一起編譯 (package main)；operations 依 LeetCode 慣例以 Constructor 建立，方法名稱首字大寫
+    go: (harness, testCases) => {
+        const { function: fn, className, methods } = resolveTarget(harness, testCases);
+        const lines = ['func init() {'];
+        if (methods) {
+            lines.push('\tjudgeConstructor = reflect.ValueOf(Constructor)', '\tjudgeMethods = map[string]reflect.Value{');
+            for (const method of methods) {
+                lines.push(`\t\t"${method}": reflect.ValueOf((*${className}).${upperFirst(method)}),`);
+            }
+            lines.push('\t}');
+        } else if (className) {
+            lines.push(
+                `\tjudgeFunction = reflect.ValueOf((*${className}).${fn})`,
+                `\tjudgeReceiver = func() reflect.Value { return reflect.ValueOf(new(${className})) }`
+            );
+        } else {
+            lines.push(`\tjudgeFunction = reflect.ValueOf(${fn})`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+    },
+
+    // 以 include! 載入入口檔；operations 以 Class::new 建立，方法名稱轉為 snake_case
+    rust: (harness, testCases) => {
+        const { function: fn, className, methods } = resolveTarget(harness, testCases);
+        const lines = [`include!("${harness.entry}");`, '', 'fn judge_run(input: &judge::Json) -> Result<judge::Json, String> {'];
+        if (methods) {
+            lines.push(
+                '    let (operations, arguments) = judge::operations(input)?;',
+                `    let mut object: ${className} = judge::construct(&${className}::new, &arguments[0])?;`,
+                '    let mut outputs = vec![judge::Json::Null];',
+                '    for (operation, arguments) in operations.iter().zip(arguments).skip(1) {',
+                '        outputs.push(match operation.as_str() {',
+                ...methods.map(method => `            "${method}" => judge::call_method(&${className}::${snakeCase(method)}, &mut object, arguments)?,`),
+                '            other => return Err(format!("unknown operation {}", other)),',
+                '        });',
+                '    }',
+                '    Ok(judge::Json::Array(outputs))'
+            );
+        } else {
+            lines.push(`    judge::call(&${className ? `${className}::` : ''}${fn}, input)`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+    }
+};
+
+// 寫入執行目錄的 harness 原始碼；有 bindings 的 template 依任務產生呼叫的程式碼
+export function renderHarness(template, harness, testCases) {
+    const bindings = harnessBindings[template];
+    return bindings
+        ? testTemplates[template].replace('{{BINDINGS}}', () => bindings(harness, testCases))
+        : testTemplates[template];
+}
@@ -0,0 +1,20 @@
+// index.js
+import { Transport } from './transport.js';
+import WebSocketTransport from './websocket.js';
+import RedisTransport from './redis.js';
+
+export { Transport, WebSocketTransport, RedisTransport };
+
+export const TRANSPORTS = ['websocket', 'redis'];
+
+// context: { url, agentId, capacity }
+export function createTransport(kind, context) {
+    switch (kind) {
+        case 'websocket':
+            return new WebSocketTransport(context.url, context);
+        case 'redis':
+            return new RedisTransport(context);
+        default:
+            throw new Error(`Unsupported transport: ${kind}`);
+    }
+}
@@ -0,0 +1,269 @@
+// redis.js
+import { createClient } from 'redis';
+import { redisConfig, workerConfig } from '../config/config.js';
+import { Transport } from './transport.js';
+
+// 任務的最後一個訊息，寫入 results stream 並確認 (XACK) 任務
+// authRejected: 簽章驗證失敗的任務不再重試，由伺服器重新簽章後送出
+const FINAL_MESSAGE_TYPES = ['taskComplete', 'taskError', 'taskRejected', 'taskCancelled', 'taskAborted', 'authRejected'];
+
+// 因 agent 本身狀態 (佇列已滿、關閉中、協定版本不符) 被退回的任務釋出給其他 agent 執行
+const REQUEUE_REASONS = ['queueFull', 'draining', 'protocolMismatch'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Agent 主動從 Redis stream 拉取任務 (consumer group)，key 以 options.prefix 開頭:
+//   tasks            (stream)  伺服器以 XADD tasks * message <json> 加入任務，
+//                              message 與 WebSocket 的 task 訊息相同 (包含簽章)
+//   inflight         (hash)    taskId -> stream entry id，重啟後仍可確認任務
+//   results          (stream)  taskComplete / taskError 等最終結果
+//   events           (channel) taskProgress、queueUpdate 等即時狀態
+//   control          (channel) 廣播給所有 agent 的控制訊息 (drain)
+//   control:<id>     (channel) 給特定 agent 的控制訊息 (cancel)
+//   agent:<id>       (string)  註冊資訊，heartbeat 更新，逾時自動消失
+// 執行中的任務每次 heartbeat 重設 idle time；idle 超過 visibilityTimeout
+// (agent 當機) 或被釋出的任務由有空位的 agent 以 XAUTOCLAIM 接手，仍是同一個 stream entry
+// context.agentId: consumer 名稱；context.capacity(): 目前可再接受的任務數量
+class RedisTransport extends Transport {
+    constructor(context = {}, options = redisConfig) {
+        super();
+        this.agentId = context.agentId;
+        this.capacity = context.capacity || (() => 1);
+        this.options = options;
+
+        const prefix = options.prefix;
+        this.keys = {
+            tasks: `${prefix}tasks`,
+            inflight: `${prefix}inflight`,
+            results: `${prefix}results`,
+            events: `${prefix}events`,
+            control: `${prefix}control`,
+            agentControl: `${prefix}control:${this.agentId}`,
+            agent: `${prefix}agent:${this.agentId}`
+        };
+
+        this.client = null;
+        this.reader = null;      // XREADGROUP BLOCK 需要獨立連線
+        this.subscriber = null;
+        this.registration = null;
+        this.entries = new Map();  // taskId -> stream entry id (本 agent 執行中)
+        this.heartbeatTimer = null;
+        this.closed = false;
+    }
+
+    async connect() {
+        this.client = createClient({ url: this.options.url });
+        this.client.on('error', error => console.error('[Redis] Client error:', error.message));
+        // 重新連線後重新註冊並重送 outbox
+        this.client.on('ready', () => {
+            console.log('[Redis] Connected');
+            this.emit('open');
+        });
+        this.client.on('end', () => this.emit('close'));
+
+        this.reader = this.client.duplicate();
+        this.reader.on('error', error => console.error('[Redis] Reader error:', error.message));
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', error => console.error('[Redis] Subscriber error:', error.message));
+
+        await Promise.all([this.client.connect(), this.reader.connect(), this.subscriber.connect()]);
+
+        try {
+            await this.client.xGroupCreate(this.keys.tasks, this.options.group, '0', { MKSTREAM: true });
+        } catch (error) {
+            if (!error.message.includes('BUSYGROUP')) throw error;
+        }
+
+        const onControl = raw => {
+            try {
+                this.emit('message', JSON.parse(raw));
+            } catch (error) {
+                this.emit('invalid', error);
+            }
+        };
+        await this.subscriber.subscribe(this.keys.control, onControl);
+        await this.subscriber.subscribe(this.keys.agentControl, onControl);
+
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat().catch(error => console.error('[Redis] Heartbeat error:', error.message));
+        }, this.options.heartbeatInterval);
+
+        this.pull().catch(error => console.error('[Redis] Task reader stopped:', error));
+    }
+
+    // 只在有空位時取任務，避免佔住其他 agent 可以執行的任務
+    async pull() {
+        while (!this.closed) {
+            const count = this.capacity();
+            if (count <= 0) {
+                await sleep(workerConfig.pollInterval);
+                continue;
+            }
+
+            let response;
+            try {
+                response = await this.reader.xReadGroup(
+                    this.options.group,
+                    this.agentId,
+                    { key: this.keys.tasks, id: '>' },
+                    { COUNT: count, BLOCK: this.options.blockTimeout }
+                );
+            } catch (error) {
+                if (this.closed) return;
+                console.error('[Redis] Failed to read tasks:', error.message);
+                await sleep(this.options.heartbeatInterval);
+                continue;
+            }
+
+            // 單一任務處理失敗不中斷讀取；未送出的任務留在 pending，逾時後由 claimExpired 接手
+            for (const { id, message } of response?.[0]?.messages || []) {
+                try {
+                    await this.receive(id, message, false);
+                } catch (error) {
+                    console.error(`[Redis] Failed to receive task entry ${id}:`, error.message);
+                }
+            }
+        }
+    }
+
+    // redelivered: 由 claimExpired 接手的 entry (先前已送達過，nonce 與先前相同)
+    async receive(entryId, fields, redelivered) {
+        let message;
+        try {
+            message = JSON.parse(fields.message);
+        } catch (error) {
+            console.error(`[Redis] Dropping malformed task entry ${entryId}:`, error.message);
+            await this.client.xAck(this.keys.tasks, this.options.group, entryId);
+            this.emit('invalid', error);
+            return;
+        }
+
+        const taskId = message.task?.id;
+        if (taskId !== undefined) {
+            this.entries.set(taskId, entryId);
+            // inflight 只用於重啟後確認任務，寫入失敗時照常執行
+            await this.client.hSet(this.keys.inflight, String(taskId), entryId).catch(error => {
+                console.error(`[Redis] Failed to record inflight task ${taskId}:`, error.message);
+            });
+        }
+        // deliveryId: 重複的 nonce 只在同一個 entry 再次送達時允許 (任何人都能 XADD，不能依 stream 欄位判斷)
+        this.emit('message', message, { redelivered, deliveryId: entryId });
+    }
+
+    async heartbeat() {
+        if (this.registration) {
+            await this.client.set(this.keys.agent, JSON.stringify({
+                ...this.registration,
+                lastHeartbeat: Date.now()
+            }), { PX: this.options.registrationTtl });
+        }
+
+        // 重設執行中任務的 idle time，避免被當成當機 agent 的任務
+        const entryIds = [...this.entries.values()];
+        if (entryIds.length > 0) {
+            await this.client.xClaimJustId(this.keys.tasks, this.options.group, this.agentId, 0, entryIds);
+        }
+
+        await this.claimExpired();
+    }
+
+    // 接手 idle 超過 visibilityTimeout 的任務 (持有的 agent 已停止或已釋出)，數量不超過空位
+    // 簽章不變，逾時過久的任務會被接手的 agent 以 authRejected 回報，由伺服器重新簽章送出
+    async claimExpired() {
+        const count = this.capacity();
+        if (count <= 0) return;
+
+        const { messages } = await this.client.xAutoClaim(
+            this.keys.tasks,
+            this.options.group,
+            this.agentId,
+            this.options.visibilityTimeout,
+            '0-0',
+            { COUNT: count }
+        );
+
+        const ownEntries = new Set(this.entries.values());
+        for (const entry of messages) {
+            if (!entry || ownEntries.has(entry.id)) continue;
+            console.log(`[Redis] Claiming expired task entry ${entry.id}`);
+            try {
+                await this.receive(entry.id, entry.message, true);
+            } catch (error) {
+                console.error(`[Redis] Failed to receive task entry ${entry.id}:`, error.message);
+            }
+        }
+    }
+
+    // 釋出任務：把 idle time 設為 visibilityTimeout，下一次 heartbeat 時由有空位的 agent 接手同一個 entry
+    async release(entryId) {
+        await this.client.xClaimJustId(this.keys.tasks, this.options.group, this.agentId, 0, entryId, {
+            IDLE: this.options.visibilityTimeout
+        });
+    }
+
+    send(message) {
+        if (!this.client?.isReady) {
+            return false;
+        }
+        this.publish(message).catch(error => {
+            console.error(`[Redis] Failed to publish ${message.type}:`, error.message);
+        });
+        return true;
+    }
+
+    async publish(message) {
+        if (message.type === 'register') {
+            this.registration = message;
+            await this.heartbeat();
+            return;
+        }
+
+        if (!FINAL_MESSAGE_TYPES.includes(message.type)) {
+            await this.client.publish(this.keys.events, JSON.stringify(message));
+            return;
+        }
+
+        const entryId = this.entries.get(message.taskId) ?? await this.client.hGet(this.keys.inflight, String(message.taskId));
+        const requeue = message.type === 'taskAborted' ||
+            (message.type === 'taskRejected' && REQUEUE_REASONS.includes(message.reason));
+
+        if (requeue && entryId) {
+            // 釋出給其他 agent 執行；不視為最終結果
+            await this.release(entryId);
+            await this.client.publish(this.keys.events, JSON.stringify(message));
+        } else {
+            await this.client.xAdd(this.keys.results, '*', { result: JSON.stringify(message) }, {
+                TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.options.resultsMaxLength }
+            });
+            if (entryId) {
+                await this.client.xAck(this.keys.tasks, this.options.group, entryId);
+            }
+        }
+
+        this.entries.delete(message.taskId);
+        await this.client.hDel(this.keys.inflight, String(message.taskId));
+
+        // 寫入 Redis 即完成投遞
+        if (message.messageId) {
+            this.emit('delivered', message.messageId);
+        }
+    }
+
+    isConnected() {
+        return Boolean(this.client?.isReady);
+    }
+
+    async close() {
+        this.closed = true;
+        clearInterval(this.heartbeatTimer);
+        if (!this.client) return;
+
+        await this.client.del(this.keys.agent).catch(() => {});
+        // 中斷阻塞中的 XREADGROUP
+        await this.reader.disconnect().catch(() => {});
+        await this.subscriber.disconnect().catch(() => {});
+        await this.client.quit().catch(() => {});
+    }
+}
+
+export default RedisTransport;
@@ -0,0 +1,28 @@
+// transport.js
+import { EventEmitter } from 'events';
+
+// Agent 與伺服器之間的傳輸層介面
+// 事件:
+//   'open'      ()          - 連線 (或重新連線) 完成，Agent 會送出 register 並重送 outbox
+//   'message'   (message, meta) - 伺服器送來的訊息物件 (task / cancel / drain / ack ...)
+//                             meta.redelivered: 傳輸層釋出後再次送達的同一則訊息 (nonce 與先前相同)
+//                             meta.deliveryId: 傳輸層對這則訊息的識別，同一個 deliveryId 才允許重複的 nonce
+//   'invalid'   (error)     - 無法解析的訊息
+//   'delivered' (messageId) - 傳輸層本身即可確認送達 (如寫入 Redis) 時，代替伺服器的 ack
+//   'close'     ()          - 連線中斷 (傳輸層自行重連)
+export class Transport extends EventEmitter {
+    async connect() {}
+
+    // message 已包含 agentId 與 timestamp；無法送出時回傳 false
+    send(message) {
+        return false;
+    }
+
+    isConnected() {
+        return false;
+    }
+
+    async close() {}
+}
+
+export default Transport;
@@ -0,0 +1,150 @@
+// websocket.js
+import WebSocket from 'ws';
+import { connectionConfig } from '../config/config.js';
+import { Transport } from './transport.js';
+
+// 由伺服器透過 WebSocket 推送任務
+// context.agentId: 加在 ping / pong 訊息中
+class WebSocketTransport extends Transport {
+    constructor(url, context = {}, options = connectionConfig) {
+        super();
+        this.url = url;
+        this.agentId = context.agentId;
+        this.options = options;
+
+        this.ws = null;
+        this.isConnecting = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.lastSeen = 0;
+        this.closed = false;
+    }
+
+    async connect() {
+        // 避免重複連接
+        if (this.ws?.readyState === WebSocket.OPEN || this.isConnecting || this.closed) {
+            return;
+        }
+
+        this.isConnecting = true;
+        console.log('Attempting to connect to WebSocket server...');
+
+        try {
+            this.ws = new WebSocket(this.url);
+            this.setupWebSocket(this.ws);
+        } catch (error) {
+            console.error('Connection attempt failed:', error);
+            this.scheduleReconnect();
+        }
+    }
+
+    // 事件只處理目前的連線，避免舊連線的 close 觸發重複重連
+    setupWebSocket(ws) {
+        // error 之後一定會觸發 close，重連由 close 處理
+        ws.on('error', (error) => {
+            console.error('WebSocket error:', error.message);
+        });
+
+        ws.onopen = () => {
+            if (ws !== this.ws) return;
+            console.log('Connected to Web Server');
+            this.isConnecting = false;
+            this.reconnectAttempts = 0;
+            this.startHeartbeat(ws);
+            this.emit('open');
+        };
+
+        ws.onclose = () => {
+            if (ws !== this.ws) return;
+            console.log('Disconnected from Web Server');
+            this.stopHeartbeat();
+            this.emit('close');
+            this.scheduleReconnect();
+        };
+
+        ws.onmessage = (event) => {
+            if (ws !== this.ws) return;
+            this.lastSeen = Date.now();
+
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                this.emit('invalid', error);
+                return;
+            }
+
+            // 連線維持訊息不交給 Agent
+            if (message.type === 'pong') {
+                return;
+            }
+            if (message.type === 'ping') {
+                this.send({ type: 'pong', agentId: this.agentId, timestamp: Date.now() });
+                return;
+            }
+            this.emit('message', message);
+        };
+    }
+
+    // 定期送出 ping；超過 heartbeatTimeout 沒有收到任何訊息 (半開連線) 則中斷重連
+    startHeartbeat(ws) {
+        this.stopHeartbeat();
+        this.lastSeen = Date.now();
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastSeen > this.options.heartbeatTimeout) {
+                console.error(`[WebSocket] No message from server in ${this.options.heartbeatTimeout}ms, reconnecting`);
+                ws.terminate();
+                return;
+            }
+            this.send({ type: 'ping', agentId: this.agentId, timestamp: Date.now() });
+        }, this.options.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    // 指數退避 + jitter；已有排程中的重連時不再重複排程
+    scheduleReconnect() {
+        this.isConnecting = false;
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+
+        const { baseDelay, maxDelay, jitter } = this.options.reconnect;
+        const delay = Math.min(maxDelay, baseDelay * 2 ** this.reconnectAttempts);
+        const actualDelay = Math.round(delay * (1 - jitter * Math.random()));
+        this.reconnectAttempts++;
+
+        console.log(`Scheduling reconnection in ${actualDelay}ms (attempt ${this.reconnectAttempts})...`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, actualDelay);
+    }
+
+    send(message) {
+        if (!this.isConnected()) {
+            return false;
+        }
+        this.ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    isConnected() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    async close() {
+        this.closed = true;
+        this.stopHeartbeat();
+        clearTimeout(this.reconnectTimer);
+        if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+            this.ws.close(1000, 'Agent shutting down');
+        }
+    }
+}
+
+export default WebSocketTransport;
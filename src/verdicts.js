@@ -0,0 +1,49 @@
+// verdicts.js
+import { constants } from 'os';
+
+export const Verdict = Object.freeze({
+    ACCEPTED: 'AC',
+    WRONG_ANSWER: 'WA',
+    TIME_LIMIT_EXCEEDED: 'TLE',
+    MEMORY_LIMIT_EXCEEDED: 'MLE',
+    RUNTIME_ERROR: 'RE',
+    COMPILATION_ERROR: 'CE',
+    OUTPUT_LIMIT_EXCEEDED: 'OLE'
+});
+
+export const verdictNames = {
+    AC: 'Accepted',
+    WA: 'Wrong Answer',
+    TLE: 'Time Limit Exceeded',
+    MLE: 'Memory Limit Exceeded',
+    RE: 'Runtime Error',
+    CE: 'Compilation Error',
+    OLE: 'Output Limit Exceeded'
+};
+
+// 提交本身造成的失敗 (CE、TLE、MLE...)，由 Runner 轉成判題結果，而非 taskError
+export class JudgeError extends Error {
+    constructor(verdict, message, details = {}) {
+        super(message || verdictNames[verdict]);
+        this.name = 'JudgeError';
+        this.verdict = verdict;
+        Object.assign(this, details);
+    }
+}
+
+// 結束碼 > 128 代表被 signal 終止 (128 + signal number)
+export function exitSignal(exitCode) {
+    if (!(exitCode > 128)) {
+        return null;
+    }
+    const signo = exitCode - 128;
+    return Object.keys(constants.signals).find(name => constants.signals[name] === signo) || `SIG${signo}`;
+}
+
+// 整體 verdict 取第一個未通過案例的 verdict；因提前停止而未執行 (skipped) 的案例不計
+export function overallVerdict(cases) {
+    const failedCase = cases.find(caseResult =>
+        caseResult.status !== 'skipped' && caseResult.verdict !== Verdict.ACCEPTED
+    );
+    return failedCase ? failedCase.verdict : Verdict.ACCEPTED;
+}
@@ -0,0 +1,61 @@
+// MessageAuth 單元測試
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import MessageAuth from '../src/auth.js';
+
+const options = { secret: 'test-secret', keyId: 'default', maxClockSkew: 1000 };
+
+// 以伺服器方向的金鑰簽章 (模擬伺服器送出的訊息)
+function serverMessage(auth, fields = {}) {
+    const message = { type: 'cancel', taskId: 't1', timestamp: Date.now(), nonce: 'n1', ...fields };
+    return { ...message, signature: MessageAuth.signature(auth.serverKey, message) };
+}
+
+describe('MessageAuth', () => {
+    test('accepts messages signed with the server key', () => {
+        const auth = new MessageAuth(options);
+        assert.equal(auth.verify(serverMessage(auth)), null);
+    });
+
+    test('skips verification without a secret', () => {
+        const auth = new MessageAuth({ ...options, secret: null });
+        assert.equal(auth.verify({ type: 'cancel' }), null);
+        assert.equal(auth.sign({ type: 'register' }).signature, undefined);
+    });
+
+    test('rejects missing or invalid signatures', () => {
+        const auth = new MessageAuth(options);
+        const { signature, ...unsigned } = serverMessage(auth);
+        assert.equal(auth.verify(unsigned), 'missing signature, nonce or timestamp');
+        assert.equal(auth.verify({ ...serverMessage(auth), taskId: 't2' }), 'invalid signature');
+        assert.equal(auth.verify({ ...serverMessage(auth), signature: 'abcd' }), 'invalid signature');
+    });
+
+    test('rejects messages signed by an agent', () => {
+        const auth = new MessageAuth(options);
+        assert.equal(auth.verify(auth.sign({ type: 'cancel', taskId: 't1' })), 'invalid signature');
+    });
+
+    test('rejects timestamps outside the clock skew window', () => {
+        const auth = new MessageAuth(options);
+        const reason = 'timestamp outside the allowed 1000ms window';
+        assert.equal(auth.verify(serverMessage(auth, { timestamp: Date.now() - 5000 })), reason);
+        assert.equal(auth.verify(serverMessage(auth, { timestamp: Date.now() + 5000 })), reason);
+    });
+
+    test('rejects replayed nonces', () => {
+        const auth = new MessageAuth(options);
+        const message = serverMessage(auth);
+        assert.equal(auth.verify(message), null);
+        assert.equal(auth.verify(message), 'replayed nonce');
+    });
+
+    test('allows a repeated nonce only for the same delivery', () => {
+        const auth = new MessageAuth(options);
+        const message = serverMessage(auth);
+        assert.equal(auth.verify(message, { deliveryId: '1-0' }), null);
+        assert.equal(auth.verify(message, { deliveryId: '1-0' }), null);
+        assert.equal(auth.verify(message, { deliveryId: '2-0' }), 'replayed nonce');
+        assert.equal(auth.verify(message), 'replayed nonce');
+    });
+});
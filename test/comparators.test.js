@@ -0,0 +1,78 @@
+// comparators.js 單元測試
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveComparator, compareValues, compareOutput } from '../src/comparators.js';
+
+describe('resolveComparator', () => {
+    test('defaults to exact', () => {
+        assert.deepEqual(resolveComparator(undefined), { type: 'exact' });
+        assert.deepEqual(resolveComparator('set'), { type: 'set' });
+    });
+
+    test('fills in float tolerances', () => {
+        assert.deepEqual(resolveComparator({ type: 'float', absEpsilon: 0.1 }), { type: 'float', absEpsilon: 0.1, relEpsilon: 1e-6 });
+    });
+
+    test('rejects unknown types and incomplete checkers', () => {
+        assert.throws(() => resolveComparator('fuzzy'), /Unsupported comparator: fuzzy/);
+        assert.throws(() => resolveComparator({ type: 'special', checker: { language: 'python' } }), /requires checker.language and checker.code/);
+    });
+});
+
+describe('compareValues', () => {
+    const exact = resolveComparator('exact');
+
+    test('compares objects regardless of key order', () => {
+        assert.equal(compareValues({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }, exact), true);
+        assert.equal(compareValues([1, 2], [2, 1], exact), false);
+        assert.equal(compareValues(null, undefined, exact), true);
+        assert.equal(compareValues(1, '1', exact), false);
+    });
+
+    test('allows absolute and relative float errors', () => {
+        const float = resolveComparator({ type: 'float', absEpsilon: 1e-3, relEpsilon: 1e-3 });
+        assert.equal(compareValues(0.1 + 0.2, 0.3, float), true);
+        assert.equal(compareValues(1000.5, 1000, float), true);
+        assert.equal(compareValues(0.31, 0.3, float), false);
+        assert.equal(compareValues([1.0001, { x: 2 }], [1, { x: 2.0001 }], float), true);
+        assert.equal(compareValues([1, 2], [1], float), false);
+        assert.equal(compareValues(NaN, NaN, float), true);
+    });
+
+    test('ignores order for unordered and duplicates for set', () => {
+        const unordered = resolveComparator('unordered');
+        const set = resolveComparator('set');
+        assert.equal(compareValues([[1, 2], [3]], [[3], [1, 2]], unordered), true);
+        assert.equal(compareValues([1, 1, 2], [1, 2, 2], unordered), false);
+        assert.equal(compareValues([1, 1, 2], [2, 1], set), true);
+        assert.equal(compareValues([1, 3], [1, 2], set), false);
+        assert.equal(compareValues(1, 1, set), true);
+    });
+});
+
+describe('compareOutput', () => {
+    test('ignores trailing spaces and newlines by default', () => {
+        assert.equal(compareOutput('1 2  \n3\n\n', '1 2\n3'), true);
+        assert.equal(compareOutput('1 2\r\n3', '1 2\n3'), true);
+        assert.equal(compareOutput('1  2\n3', '1 2\n3'), false);
+    });
+
+    test('applies output match overrides', () => {
+        const exact = resolveComparator('exact');
+        assert.equal(compareOutput('1  2 ', '1 2', exact, { collapseWhitespace: true }), true);
+        assert.equal(compareOutput('3\n', '3', exact, { ignoreTrailingNewlines: false }), false);
+    });
+
+    test('compares float tokens', () => {
+        const float = resolveComparator({ type: 'float', absEpsilon: 1e-3 });
+        assert.equal(compareOutput('0.3333 yes\n', '0.33333 yes', float), true);
+        assert.equal(compareOutput('0.34 yes', '0.33333 yes', float), false);
+        assert.equal(compareOutput('0.3333 no', '0.3333 yes', float), false);
+    });
+
+    test('compares lines without order', () => {
+        assert.equal(compareOutput('b\na\n', 'a\nb', resolveComparator('unordered')), true);
+        assert.equal(compareOutput('a\na\nb', 'a\nb', resolveComparator('set')), true);
+        assert.equal(compareOutput('a\na\nb', 'a\nb', resolveComparator('unordered')), false);
+    });
+});
@@ -0,0 +1,45 @@
+// resolveLimits 單元測試
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLimits } from '../src/limits.js';
+import { limitConfig } from '../src/config/config.js';
+
+const langConfig = { timeout: 5000, memoryLimit: 256, cpuLimit: 1 };
+
+describe('resolveLimits', () => {
+    test('uses the language defaults', () => {
+        assert.deepEqual(resolveLimits({}, langConfig), {
+            timeout: 5000,
+            memoryLimit: 256,
+            cpuLimit: 1,
+            caseTimeLimit: 5000,
+            outputLimit: limitConfig.outputLimit
+        });
+    });
+
+    test('prefers the limits supplied by the task', () => {
+        const limits = resolveLimits({ timeout: 3000, memoryLimit: 128, cpuLimit: 0.5, caseTimeLimit: 1000, outputLimit: 4096 }, langConfig);
+        assert.deepEqual(limits, { timeout: 3000, memoryLimit: 128, cpuLimit: 0.5, caseTimeLimit: 1000, outputLimit: 4096 });
+    });
+
+    test('derives the case time limit from the task timeout', () => {
+        assert.equal(resolveLimits({ timeout: 2000 }, langConfig).caseTimeLimit, 2000);
+        assert.equal(resolveLimits({ caseTimeLimit: 8000 }, langConfig).caseTimeLimit, 5000);
+    });
+
+    test('clamps limits to the configured caps', () => {
+        const limits = resolveLimits({ timeout: 1e9, memoryLimit: 1e9, cpuLimit: 64, outputLimit: 1e12 }, langConfig);
+        assert.equal(limits.timeout, limitConfig.max.timeout);
+        assert.equal(limits.memoryLimit, limitConfig.max.memoryLimit);
+        assert.equal(limits.cpuLimit, limitConfig.max.cpuLimit);
+        assert.equal(limits.outputLimit, limitConfig.max.outputLimit);
+        assert.equal(limits.caseTimeLimit, limitConfig.max.caseTimeLimit);
+    });
+
+    test('rejects non-positive limits', () => {
+        assert.throws(() => resolveLimits({ timeout: 0 }, langConfig), /Invalid timeout: 0/);
+        assert.throws(() => resolveLimits({ memoryLimit: -1 }, langConfig), /Invalid memoryLimit: -1/);
+        assert.throws(() => resolveLimits({ cpuLimit: Infinity }, langConfig), /Invalid cpuLimit: Infinity/);
+        assert.throws(() => resolveLimits({}, { ...langConfig, timeout: undefined }), /Invalid timeout: undefined/);
+    });
+});
@@ -0,0 +1,114 @@
+// loadConfig 單元測試：設定檔、環境變數的轉換與錯誤回報
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import config from '../src/config/config.js';
+import { loadConfig, ConfigError } from '../src/config/loadConfig.js';
+
+const defaults = structuredClone(config);
+
+// loadConfig 直接修改共用的設定物件，每個測試後還原
+function restore(target, source) {
+    for (const key of Object.keys(target)) {
+        if (!Object.hasOwn(source, key)) delete target[key];
+    }
+    for (const [key, value] of Object.entries(source)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+            restore(target[key], value);
+        } else {
+            target[key] = structuredClone(value);
+        }
+    }
+}
+
+function problemsOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+        file = path.join(dir, 'agent.config.json');
+    });
+
+    afterEach(async () => {
+        restore(config, defaults);
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('coerces environment variables by type', () => {
+        loadConfig({
+            env: {
+                JUDGE_MAX_RUNNERS: '8',
+                JUDGE_POOL_ENABLED: 'no',
+                JUDGE_MAX_CPU_LIMIT: '1.5',
+                JUDGE_HTTP_CORS_ORIGINS: 'https://a.example.com, http://localhost:3000',
+                JUDGE_IMAGE_PYTHON: 'python:3.12-slim'
+            }
+        });
+        assert.equal(config.worker.maxRunners, 8);
+        assert.equal(config.pool.enabled, false);
+        assert.equal(config.limits.max.cpuLimit, 1.5);
+        assert.deepEqual(config.http.corsOrigins, ['https://a.example.com', 'http://localhost:3000']);
+        assert.equal(config.languages.python.image, 'python:3.12-slim');
+    });
+
+    test('reports environment variables that cannot be coerced', () => {
+        assert.deepEqual(problemsOf(() => loadConfig({ env: { JUDGE_MAX_RUNNERS: 'many', JUDGE_POOL_ENABLED: 'maybe' } })), [
+            'JUDGE_MAX_RUNNERS: worker.maxRunners must be a positive integer (got "many")',
+            'JUDGE_POOL_ENABLED: pool.enabled must be true or false (got "maybe")'
+        ]);
+        assert.equal(config.worker.maxRunners, defaults.worker.maxRunners);
+    });
+
+    test('does not print secrets in errors', () => {
+        assert.deepEqual(problemsOf(() => loadConfig({ env: { JUDGE_AUTH_SECRET: '' } })), [
+            'JUDGE_AUTH_SECRET: auth.secret must be a non-empty string'
+        ]);
+    });
+
+    test('merges the config file under the environment', async () => {
+        await writeFile(file, JSON.stringify({ worker: { maxRunners: 2, maxQueueSize: 5 }, languages: { go: { timeout: 9000 } } }));
+        loadConfig({ file, env: { JUDGE_MAX_RUNNERS: '3' } });
+        assert.equal(config.worker.maxRunners, 3);
+        assert.equal(config.worker.maxQueueSize, 5);
+        assert.equal(config.languages.go.timeout, 9000);
+        assert.equal(config.languages.go.image, defaults.languages.go.image);
+    });
+
+    test('rejects unknown keys, languages and invalid values in the file', async () => {
+        await writeFile(file, JSON.stringify({ worker: { maxRuners: 2 }, languages: { cobol: {} }, http: { port: 70000 } }));
+        assert.deepEqual(problemsOf(() => loadConfig({ file, env: {} })), [
+            `${file}: unknown key worker.maxRuners`,
+            `${file}: languages.cobol is not a supported language`,
+            `${file}: http.port must be a port number (1-65535) (got 70000)`
+        ]);
+    });
+
+    test('reports unreadable and invalid files', async () => {
+        await writeFile(file, '{ "worker": ');
+        const [problem] = problemsOf(() => loadConfig({ file, env: {} }));
+        assert.match(problem, /invalid JSON/);
+
+        const missing = path.join(dir, 'missing.json');
+        assert.match(problemsOf(() => loadConfig({ file: missing, env: {} }))[0], /cannot be read/);
+    });
+
+    test('checks settings that depend on each other', async () => {
+        await writeFile(file, JSON.stringify({ connection: { heartbeatInterval: 1000, heartbeatTimeout: 1000 } }));
+        assert.deepEqual(problemsOf(() => loadConfig({ file, env: {} })), [
+            'connection.heartbeatTimeout must be greater than connection.heartbeatInterval'
+        ]);
+    });
+});
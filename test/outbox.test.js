@@ -0,0 +1,70 @@
+// Outbox 單元測試：確認、上限與過期的丟棄、寫入與重新載入
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Outbox from '../src/outbox.js';
+
+const options = { maxEntries: 3, maxAge: 60000, persistDelay: 10 };
+
+describe('Outbox', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+        file = path.join(dir, 'outbox.json');
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('assigns message ids and removes acknowledged messages', async () => {
+        const outbox = new Outbox(file, options);
+        const entry = outbox.add({ type: 'taskComplete', timestamp: Date.now() });
+        assert.equal(typeof entry.messageId, 'string');
+        assert.equal(outbox.size, 1);
+
+        assert.equal(outbox.ack(entry.messageId), true);
+        assert.equal(outbox.ack(entry.messageId), false);
+        assert.equal(outbox.size, 0);
+        await outbox.flush();
+    });
+
+    test('drops the oldest messages beyond maxEntries', async () => {
+        const outbox = new Outbox(file, options);
+        for (const messageId of ['m1', 'm2', 'm3', 'm4']) {
+            outbox.add({ type: 'taskComplete', messageId, timestamp: Date.now() });
+        }
+        assert.deepEqual(outbox.entries().map(message => message.messageId), ['m2', 'm3', 'm4']);
+        await outbox.flush();
+    });
+
+    test('drops messages older than maxAge', async () => {
+        const outbox = new Outbox(file, options);
+        outbox.add({ type: 'taskComplete', messageId: 'old', timestamp: Date.now() - 120000 });
+        outbox.add({ type: 'taskComplete', messageId: 'new', timestamp: Date.now() });
+        assert.deepEqual(outbox.entries().map(message => message.messageId), ['new']);
+        await outbox.flush();
+    });
+
+    test('reloads unacknowledged messages from the file', async () => {
+        const outbox = new Outbox(file, options);
+        outbox.add({ type: 'taskComplete', messageId: 'm1', timestamp: Date.now() });
+        outbox.add({ type: 'taskError', messageId: 'm2', timestamp: Date.now() });
+        outbox.ack('m1');
+        await outbox.flush();
+
+        const reloaded = new Outbox(file, options);
+        await reloaded.load();
+        assert.deepEqual(reloaded.entries().map(message => message.messageId), ['m2']);
+    });
+
+    test('starts empty without a file', async () => {
+        const outbox = new Outbox(file, options);
+        await outbox.load();
+        assert.equal(outbox.size, 0);
+    });
+});
@@ -0,0 +1,98 @@
+// validateTask / validateMessage 單元測試
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMessage, validateTask } from '../src/protocol.js';
+
+const task = (fields = {}) => ({
+    id: 't1',
+    language: 'python',
+    code: 'def add(a, b):\n    return a + b\n',
+    function: 'add',
+    testCases: [{ input: [1, 2], expected: 3 }],
+    ...fields
+});
+
+describe('validateTask', () => {
+    test('accepts a function mode task', () => {
+        assert.deepEqual(validateTask(task()), []);
+    });
+
+    test('accepts a stdio mode task', () => {
+        const stdio = task({ mode: 'stdio', function: undefined, testCases: [{ input: '1 2\n', expected: '3' }] });
+        assert.deepEqual(validateTask(stdio), []);
+    });
+
+    test('requires the task fields', () => {
+        assert.deepEqual(validateTask(undefined), ['task is required']);
+        assert.deepEqual(validateTask({ id: 't1' }), ['task.language is required', 'task.testCases is required']);
+    });
+
+    test('requires at least one test case', () => {
+        assert.deepEqual(validateTask(task({ testCases: [] })), ['task.testCases must not be empty']);
+    });
+
+    test('reports field types', () => {
+        assert.deepEqual(validateTask(task({ code: 1, shards: 0 })), [
+            'task.code must be string (got integer)',
+            'task.shards must be a positive number'
+        ]);
+    });
+
+    test('rejects unsupported languages', () => {
+        const [error] = validateTask(task({ language: 'cobol' }));
+        assert.match(error, /^task.language 'cobol' is not supported/);
+    });
+
+    test('requires a source', () => {
+        assert.deepEqual(validateTask(task({ code: undefined })), ['task.code, task.files or task.archive is required']);
+    });
+
+    test('checks test case inputs against the mode', () => {
+        assert.deepEqual(validateTask(task({ testCases: [{ input: 1, expected: 1 }] })), [
+            'task.testCases[0].input must be an array of arguments in function mode'
+        ]);
+        assert.deepEqual(validateTask(task({ mode: 'stdio', function: undefined, testCases: [{ input: [1] }] })), [
+            'task.testCases[0].input must be a string in stdio mode'
+        ]);
+    });
+
+    test('checks the operations test format', () => {
+        const operations = { operations: ['Counter', 'add'], arguments: [[]] };
+        assert.deepEqual(validateTask(task({ testFormat: 'operations', function: undefined, testCases: [{ input: operations }] })), [
+            'task.testCases[0].input.operations has 2 entries but arguments has 1'
+        ]);
+    });
+
+    test('rejects function mode fields in stdio mode', () => {
+        assert.deepEqual(validateTask(task({ mode: 'stdio', testCases: [{ input: '' }] })), [
+            'task.function only applies to function mode'
+        ]);
+    });
+
+    test('rejects invalid identifiers', () => {
+        assert.deepEqual(validateTask(task({ function: 'add()' })), ['task.function "add()" is not a valid identifier']);
+    });
+
+    test('rejects unknown output match options', () => {
+        const [error] = validateTask(task({ mode: 'stdio', function: undefined, testCases: [{ input: '' }], outputMatch: { ignorecase: true } }));
+        assert.match(error, /^task.outputMatch.ignorecase is not a known option/);
+    });
+
+    test('rejects unknown comparators', () => {
+        const [error] = validateTask(task({ comparator: 'fuzzy' }));
+        assert.match(error, /^task.comparator: /);
+    });
+});
+
+describe('validateMessage', () => {
+    test('rejects unknown message types', () => {
+        assert.deepEqual(validateMessage({ type: 'reboot' }, 'inbound'), [
+            "unknown inbound message type 'reboot' for protocol version 1"
+        ]);
+    });
+
+    test('checks required fields', () => {
+        assert.deepEqual(validateMessage({ type: 'cancel', taskId: 't1' }, 'inbound'), []);
+        assert.deepEqual(validateMessage({ type: 'cancel' }, 'inbound'), ['taskId is required']);
+    });
+});
@@ -0,0 +1,143 @@
+// sources.js 單元測試：路徑檢查、zip 解壓與入口檔判斷
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'zlib';
+import { normalizeSourcePath, extractZip, resolveSources } from '../src/sources.js';
+import { languageConfigs } from '../src/config/config.js';
+import { validateTask } from '../src/protocol.js';
+
+const options = { maxFiles: 3, maxTotalSize: 1024 };
+
+// 建立 zip；entry.size 可宣告與內容不同的解壓大小 (不計算 CRC，extractZip 不檢查)
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, content = '', method = 8, size } of entries) {
+        const raw = Buffer.from(content);
+        const data = method === 8 ? deflateRawSync(raw) : raw;
+        const nameBuffer = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(size ?? raw.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(size ?? raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+describe('normalizeSourcePath', () => {
+    test('normalizes relative paths', () => {
+        assert.equal(normalizeSourcePath('./src//util.py'), 'src/util.py');
+        assert.equal(normalizeSourcePath('pkg\\Main.java'), 'pkg/Main.java');
+    });
+
+    test('rejects paths outside the execution directory', () => {
+        for (const name of ['../solution.py', 'src/../../x.py', '..\\x.py', '/etc/passwd', 'C:/x.py']) {
+            assert.throws(() => normalizeSourcePath(name), undefined, name);
+        }
+    });
+
+    test('rejects paths that are not files', () => {
+        for (const name of ['', '.', 'src/', 'a\0b']) {
+            assert.throws(() => normalizeSourcePath(name), undefined, JSON.stringify(name));
+        }
+    });
+
+    test('is applied to task.files with and without task.code', () => {
+        const task = { id: 't1', language: 'python', testCases: [{ input: [] }], files: { '../escape.py': '' } };
+        assert.deepEqual(validateTask(task), ['task.files["../escape.py"]: path "../escape.py" must not contain \'..\'']);
+        assert.deepEqual(validateTask({ ...task, code: '' }), validateTask(task));
+    });
+});
+
+describe('extractZip', () => {
+    test('extracts stored and deflated entries', () => {
+        const files = extractZip(zip([
+            { name: 'a.py', content: 'print(1)', method: 0 },
+            { name: 'pkg/', content: '' },
+            { name: 'pkg/b.py', content: 'x = 2' }
+        ]), options);
+        assert.deepEqual([...files.keys()], ['a.py', 'pkg/b.py']);
+        assert.equal(files.get('pkg/b.py').toString(), 'x = 2');
+    });
+
+    test('rejects entries outside the execution directory', () => {
+        assert.throws(() => extractZip(zip([{ name: '../evil.py', content: '' }]), options), /must not contain '\.\.'/);
+    });
+
+    test('rejects archives that expand past the size limit', () => {
+        const bomb = zip([{ name: 'a.txt', content: '0'.repeat(4096) }]);
+        assert.throws(() => extractZip(bomb, options), /expands to more than 1024 bytes/);
+    });
+
+    test('does not inflate more than the declared size', () => {
+        const bomb = zip([{ name: 'a.txt', content: '0'.repeat(1024 * 1024), size: 10 }]);
+        assert.throws(() => extractZip(bomb, { ...options, maxTotalSize: 2 * 1024 * 1024 }), /^Error: a\.txt: /);
+    });
+
+    test('limits the number of files', () => {
+        const entries = ['a', 'b', 'c', 'd'].map(name => ({ name: `${name}.py` }));
+        assert.throws(() => extractZip(zip(entries), options), /more than 3 files/);
+    });
+
+    test('rejects data that is not a zip file', () => {
+        assert.throws(() => extractZip(Buffer.from('not a zip'), options), /not a zip file/);
+    });
+});
+
+describe('resolveSources', () => {
+    const python = languageConfigs.python;
+    const cpp = languageConfigs.cpp;
+    const java = languageConfigs.java;
+
+    test('writes task.code to the source file', () => {
+        const sources = resolveSources({ code: 'x', files: { 'util.py': 'y' } }, python, options);
+        assert.equal(sources.entry, python.sourceFile);
+        assert.deepEqual([...sources.files.keys()], ['util.py', python.sourceFile]);
+    });
+
+    test('detects the entry by file name, extension and main function', () => {
+        assert.equal(resolveSources({ files: { [`src/${python.sourceFile}`]: '', 'README.md': '' } }, python, options).entry, `src/${python.sourceFile}`);
+        assert.equal(resolveSources({ files: { 'app.py': '', 'data.txt': '' } }, python, options).entry, 'app.py');
+        assert.equal(resolveSources({ files: { 'util.cpp': 'int f() {}', 'app.cpp': 'int main() {}' } }, cpp, options).entry, 'app.cpp');
+    });
+
+    test('requires task.entry when the entry is ambiguous', () => {
+        const files = { 'a.py': '', 'b.py': '' };
+        assert.throws(() => resolveSources({ files }, python, options), /set task.entry/);
+        assert.equal(resolveSources({ files, entry: './b.py' }, python, options).entry, 'b.py');
+        assert.throws(() => resolveSources({ files, entry: 'c.py' }, python, options), /not part of the submission/);
+    });
+
+    test('derives the Java main class from the package', () => {
+        const files = { 'app/Main.java': 'package app;\nclass Main { public static void main(String[] a) {} }' };
+        assert.equal(resolveSources({ files }, java, options).mainClass, 'app.Main');
+    });
+
+    test('rejects reserved paths', () => {
+        assert.throws(() => resolveSources({ files: { 'testcases.json': '', 'a.py': '' } }, python, options), /reserved by the judge/);
+    });
+});
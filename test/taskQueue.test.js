@@ -0,0 +1,100 @@
+// TaskQueue 單元測試：同時執行數量、佇列上限、名額保留
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import TaskQueue from '../src/taskQueue.js';
+
+// handler 在呼叫 finish(id) 前不會結束
+function controlledQueue(options) {
+    const started = [];
+    const finishers = new Map();
+    const queue = new TaskQueue(task => new Promise(resolve => {
+        started.push(task.id);
+        finishers.set(task.id, resolve);
+    }), options);
+    const finish = async id => {
+        finishers.get(id)();
+        // 等待 finally 中的 schedule
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return { queue, started, finish };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TaskQueue', () => {
+    test('runs at most maxRunners tasks at once', async () => {
+        const { queue, started, finish } = controlledQueue({ maxRunners: 2, maxQueueSize: 10 });
+        for (const id of ['t1', 't2', 't3']) {
+            assert.equal(queue.enqueue({ id }), true);
+        }
+        await tick();
+        assert.deepEqual(started, ['t1', 't2']);
+        assert.deepEqual(queue.getStatus(), { queued: 1, running: 2, maxRunners: 2, reserved: 0, maxQueueSize: 10 });
+
+        await finish('t1');
+        assert.deepEqual(started, ['t1', 't2', 't3']);
+        assert.equal(queue.getStatus().queued, 0);
+    });
+
+    test('rejects tasks beyond maxQueueSize', async () => {
+        const { queue } = controlledQueue({ maxRunners: 1, maxQueueSize: 1 });
+        assert.equal(queue.enqueue({ id: 't1' }), true);
+        assert.equal(queue.enqueue({ id: 't2' }), true);
+        assert.equal(queue.enqueue({ id: 't3' }), false);
+        assert.deepEqual(queue.getStatus(), { queued: 1, running: 1, maxRunners: 1, reserved: 0, maxQueueSize: 1 });
+    });
+
+    test('keeps running after a task fails', async () => {
+        const started = [];
+        const queue = new TaskQueue(async task => {
+            started.push(task.id);
+            throw new Error('boom');
+        }, { maxRunners: 1, maxQueueSize: 10 });
+        queue.enqueue({ id: 't1' });
+        queue.enqueue({ id: 't2' });
+        for (let i = 0; i < 5; i++) await tick();
+        assert.deepEqual(started, ['t1', 't2']);
+        assert.equal(queue.getStatus().running, 0);
+    });
+
+    test('removes and clears pending tasks', async () => {
+        const { queue } = controlledQueue({ maxRunners: 1, maxQueueSize: 10 });
+        queue.enqueue({ id: 't1' });
+        queue.enqueue({ id: 't2' });
+        queue.enqueue({ id: 't3' });
+        assert.deepEqual(queue.remove('t2'), { id: 't2' });
+        assert.equal(queue.remove('t1'), null);
+        assert.deepEqual(queue.clear(), [{ id: 't3' }]);
+    });
+
+    test('reserves free slots and releases them', async () => {
+        const { queue, started, finish } = controlledQueue({ maxRunners: 3, maxQueueSize: 10 });
+        queue.enqueue({ id: 't1' });
+        await tick();
+
+        assert.equal(queue.reserve(5), 2);
+        assert.equal(queue.reserve(1), 0);
+        queue.enqueue({ id: 't2' });
+        await tick();
+        assert.deepEqual(started, ['t1']);
+
+        queue.release(1);
+        await tick();
+        assert.deepEqual(started, ['t1', 't2']);
+        assert.equal(queue.getStatus().reserved, 1);
+
+        queue.release(5);
+        assert.equal(queue.getStatus().reserved, 0);
+        await finish('t1');
+        await finish('t2');
+    });
+
+    test('waitForIdle times out while tasks are running', async () => {
+        const { queue, finish } = controlledQueue({ maxRunners: 1, maxQueueSize: 10 });
+        queue.enqueue({ id: 't1' });
+        assert.equal(await queue.waitForIdle(20), false);
+        const idle = queue.waitForIdle(1000);
+        await finish('t1');
+        assert.equal(await idle, true);
+    });
+});
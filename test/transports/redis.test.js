@@ -0,0 +1,166 @@
+// Redis transport 整合測試：需要本機 Redis (JUDGE_TEST_REDIS_URL，預設 redis://localhost:6379)，連不上時略過
+import { describe, test, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createClient } from 'redis';
+import RedisTransport from '../../src/transports/redis.js';
+import { redisConfig } from '../../src/config/config.js';
+
+const url = process.env.JUDGE_TEST_REDIS_URL || 'redis://localhost:6379';
+
+async function connectRedis() {
+    const client = createClient({ url, socket: { connectTimeout: 1000, reconnectStrategy: false } });
+    client.on('error', () => {});
+    try {
+        await client.connect();
+        return client;
+    } catch {
+        return null;
+    }
+}
+
+const redis = await connectRedis();
+
+// 在時限內等到事件，否則失敗
+async function waitFor(emitter, event, timeout = 5000) {
+    const [value] = await once(emitter, event, { signal: AbortSignal.timeout(timeout) });
+    return value;
+}
+
+describe('RedisTransport', { skip: redis ? false : `no Redis at ${url}` }, () => {
+    let prefix;
+    const transports = [];
+
+    // 每個測試使用獨立的 key prefix；縮短 heartbeat 與 visibility timeout 以便測試逾時放回
+    async function createTransport(agentId, capacity = () => 1) {
+        const transport = new RedisTransport({ agentId, capacity }, {
+            ...redisConfig,
+            url,
+            prefix,
+            heartbeatInterval: 200,
+            visibilityTimeout: 500,
+            blockTimeout: 100
+        });
+        transports.push(transport);
+        await transport.connect();
+        return transport;
+    }
+
+    const addTask = (id, extra = {}) => redis.xAdd(`${prefix}tasks`, '*', {
+        message: JSON.stringify({ type: 'task', task: { id, language: 'python', code: '', testCases: [{ input: [], expected: null }] }, ...extra })
+    });
+
+    const pendingCount = async () => (await redis.xPending(`${prefix}tasks`, redisConfig.group)).pending;
+
+    beforeEach(() => {
+        prefix = `judge-test:${process.pid}:${Date.now()}:`;
+    });
+
+    afterEach(async () => {
+        for (const transport of transports.splice(0)) {
+            await transport.close();
+        }
+        for await (const key of redis.scanIterator({ MATCH: `${prefix}*` })) {
+            await redis.del(key);
+        }
+    });
+
+    test('pulls tasks and records them as inflight', async () => {
+        const transport = await createTransport('agent-a');
+        const received = once(transport, 'message', { signal: AbortSignal.timeout(5000) });
+        const entryId = await addTask('t1');
+
+        const [message, meta] = await received;
+        assert.equal(message.type, 'task');
+        assert.equal(meta.redelivered, false);
+        assert.equal(meta.deliveryId, entryId);
+        assert.equal(message.task.id, 't1');
+        assert.equal(await redis.hGet(`${prefix}inflight`, 't1'), entryId);
+        assert.equal(await pendingCount(), 1);
+    });
+
+    test('publishes final results and acknowledges the task', async () => {
+        const transport = await createTransport('agent-a');
+        const received = waitFor(transport, 'message');
+        await addTask('t1');
+        await received;
+
+        const delivered = waitFor(transport, 'delivered');
+        transport.send({ type: 'taskComplete', taskId: 't1', messageId: 'm1', verdict: 'AC', result: {} });
+        assert.equal(await delivered, 'm1');
+
+        const results = await redis.xRange(`${prefix}results`, '-', '+');
+        assert.equal(results.length, 1);
+        assert.equal(JSON.parse(results[0].message.result).taskId, 't1');
+        assert.equal(await pendingCount(), 0);
+        assert.equal(await redis.hGet(`${prefix}inflight`, 't1'), null);
+    });
+
+    test('releases tasks rejected because the queue is full', async () => {
+        const transport = await createTransport('agent-a');
+        const received = waitFor(transport, 'message');
+        const entryId = await addTask('t1');
+        await received;
+
+        const requeued = once(transport, 'message', { signal: AbortSignal.timeout(5000) });
+        transport.send({ type: 'taskRejected', taskId: 't1', reason: 'queueFull', error: 'Task queue is full' });
+
+        // 再次送達的是同一個 entry，沿用原本的簽章與 nonce
+        const [message, meta] = await requeued;
+        assert.equal(message.task.id, 't1');
+        assert.equal(meta.redelivered, true);
+        assert.equal(meta.deliveryId, entryId);
+        assert.equal(await redis.xLen(`${prefix}tasks`), 1);
+        assert.equal(await redis.xLen(`${prefix}results`), 0);
+    });
+
+    test('does not trust stream fields to mark a task as redelivered', async () => {
+        const transport = await createTransport('agent-a');
+        const received = once(transport, 'message', { signal: AbortSignal.timeout(5000) });
+        const entryId = await redis.xAdd(`${prefix}tasks`, '*', {
+            message: JSON.stringify({ type: 'task', task: { id: 't1', language: 'python', code: '', testCases: [{ input: [], expected: null }] } }),
+            requeued: String(Date.now())
+        });
+
+        const [, meta] = await received;
+        assert.equal(meta.redelivered, false);
+        assert.equal(meta.deliveryId, entryId);
+    });
+
+    test('does not claim released tasks without capacity', async () => {
+        let capacity = 1;
+        const transport = await createTransport('agent-a', () => capacity);
+        const received = waitFor(transport, 'message');
+        await addTask('t1');
+        await received;
+
+        capacity = 0;
+        let redelivered = false;
+        transport.on('message', () => { redelivered = true; });
+        transport.send({ type: 'taskRejected', taskId: 't1', reason: 'queueFull', error: 'Task queue is full' });
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        assert.equal(redelivered, false);
+        assert.equal(await pendingCount(), 1);
+    });
+
+    test('requeues tasks held by a stopped agent after the visibility timeout', async () => {
+        const crashed = await createTransport('agent-a');
+        const received = waitFor(crashed, 'message');
+        await addTask('t1');
+        await received;
+        // 模擬當機：停止 heartbeat 與讀取，任務留在 agent-a 的 pending
+        await crashed.close();
+
+        const transport = await createTransport('agent-b');
+        const message = await waitFor(transport, 'message');
+        assert.equal(message.task.id, 't1');
+
+        const pending = await redis.xPendingRange(`${prefix}tasks`, redisConfig.group, '-', '+', 10);
+        assert.deepEqual(pending.map(entry => entry.consumer), ['agent-b']);
+    });
+});
+
+after(async () => {
+    await redis?.quit();
+});